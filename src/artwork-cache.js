@@ -0,0 +1,68 @@
+// On-disk album artwork cache. Entries are keyed by source, artist and album,
+// so every track of an album shares one file. A file's mtime is its last use;
+// once the directory grows past `maxBytes` the least recently used files go.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+function createArtworkCache({ dir, maxBytes }) {
+  function entryPath(key) {
+    return path.join(dir, crypto.createHash('sha256').update(key).digest('hex').slice(0, 32));
+  }
+
+  // Returns the cached file for `key` (marking it as used), or null.
+  async function get(key) {
+    const file = entryPath(key);
+    try {
+      const now = new Date();
+      await fs.utimes(file, now, now);
+      return file;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return null;
+    }
+  }
+
+  async function put(key, data) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = entryPath(key);
+    const partial = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(partial, data);
+    await fs.rename(partial, file);
+    await evict(file);
+    return file;
+  }
+
+  async function evict(keep) {
+    const names = await fs.readdir(dir);
+    const entries = [];
+    await Promise.all(names.map(async (name) => {
+      const file = path.join(dir, name);
+      try {
+        const stats = await fs.stat(file);
+        if (stats.isFile()) {
+          entries.push({ file, size: stats.size, usedAt: stats.mtimeMs });
+        }
+      } catch (error) {
+        // Removed by another process in the meantime.
+      }
+    }));
+    entries.sort((a, b) => b.usedAt - a.usedAt);
+
+    let total = 0;
+    const stale = entries.filter((entry) => {
+      total += entry.size;
+      return total > maxBytes && entry.file !== keep;
+    });
+    await Promise.all(stale.map((entry) => fs.rm(entry.file, { force: true })));
+  }
+
+  return { get, put };
+}
+
+module.exports = {
+  createArtworkCache,
+};
@@ -0,0 +1,388 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { describeDigestProblems } = require('./digest');
+const { describeEmojiRuleProblems } = require('./emoji');
+const { LOG_FORMATS, LOG_LEVELS } = require('./logger');
+const { isLoopbackHost } = require('./loopback');
+const { DEFAULT_AUTHORIZE_URL, DEFAULT_TOKEN_URL } = require('./oauth');
+const { PLAYER_POLICIES } = require('./players');
+const { PRIVACY_ACTIONS, describePrivacyFilterProblems } = require('./privacy');
+const { describeScheduleProblems } = require('./schedule');
+const { DEFAULT_SLACK_API_URL, describeApiUrlProblem } = require('./slack');
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+const FALSE_VALUES = ['0', 'false', 'no', 'off'];
+
+// Every setting can come from the config file (camelCase key) or the
+// environment (env name); environment variables win. Settings that are not
+// reloadable keep their startup value when the watcher receives SIGHUP.
+const SETTINGS = {
+  slackToken: { env: 'SLACK_TOKEN', parse: parseString, default: null, reloadable: false },
+  slackApiUrl: { env: 'SLACK_API_URL', parse: parseApiUrl, default: DEFAULT_SLACK_API_URL, reloadable: false },
+  credentialsFile: {
+    env: 'SLACK_CREDENTIALS_FILE',
+    parse: parsePath,
+    default: path.join(os.homedir(), '.slack-currenttrack-credentials.json'),
+    reloadable: false,
+  },
+  slackClientId: { env: 'SLACK_CLIENT_ID', parse: parseString, default: null, reloadable: false },
+  slackClientSecret: { env: 'SLACK_CLIENT_SECRET', parse: parseString, default: null, reloadable: false },
+  oauthAuthorizeUrl: { env: 'SLACK_OAUTH_AUTHORIZE_URL', parse: parseApiUrl, default: DEFAULT_AUTHORIZE_URL, reloadable: false },
+  oauthTokenUrl: { env: 'SLACK_OAUTH_TOKEN_URL', parse: parseApiUrl, default: DEFAULT_TOKEN_URL, reloadable: false },
+  oauthRedirectPort: { env: 'OAUTH_REDIRECT_PORT', parse: parsePort, default: 53682, reloadable: false },
+  dryRun: { env: 'DRY_RUN', parse: parseBoolean, default: false, reloadable: false },
+  statusCacheFile: {
+    env: 'STATUS_CACHE_FILE',
+    parse: parsePath,
+    default: path.join(os.homedir(), '.slack-currenttrack-status.json'),
+    reloadable: false,
+  },
+  profilePhotoCacheFile: {
+    env: 'PROFILE_PHOTO_CACHE_FILE',
+    parse: parsePath,
+    default: path.join(os.homedir(), '.slack-currenttrack-profile-photo'),
+    reloadable: false,
+  },
+  historyFile: {
+    env: 'HISTORY_FILE',
+    parse: parsePath,
+    default: path.join(os.homedir(), '.slack-currenttrack-history.jsonl'),
+    reloadable: false,
+  },
+  digestStateFile: {
+    env: 'DIGEST_STATE_FILE',
+    parse: parsePath,
+    default: path.join(os.homedir(), '.slack-currenttrack-digest.json'),
+    reloadable: false,
+  },
+  artworkCacheDir: {
+    env: 'ARTWORK_CACHE_DIR',
+    parse: parsePath,
+    default: path.join(os.homedir(), '.cache', 'slack-currenttrack', 'artwork'),
+    reloadable: false,
+  },
+  artworkCacheSizeMb: { env: 'ARTWORK_CACHE_SIZE_MB', parse: integerAtLeast(1), default: 50, reloadable: false },
+  controlPort: { env: 'CONTROL_PORT', parse: parsePort, default: null, reloadable: false },
+  controlHost: { env: 'CONTROL_HOST', parse: parseString, default: '127.0.0.1', reloadable: false },
+  controlToken: { env: 'CONTROL_TOKEN', parse: parseString, default: null, reloadable: false },
+  logLevel: { env: 'LOG_LEVEL', parse: oneOf(LOG_LEVELS), default: 'info', reloadable: true },
+  logFormat: { env: 'LOG_FORMAT', parse: oneOf(LOG_FORMATS), default: 'text', reloadable: true },
+  player: {
+    env: 'PLAYER',
+    parse: parsePlayer,
+    default: process.platform === 'darwin' ? ['music'] : ['mpris'],
+    reloadable: true,
+  },
+  playerPolicy: { env: 'PLAYER_POLICY', parse: oneOf(PLAYER_POLICIES), default: 'priority', reloadable: true },
+  pollIntervalMs: { env: 'POLL_INTERVAL_MS', parse: integerAtLeast(50), default: 15000, reloadable: true },
+  minPollIntervalMs: { env: 'MIN_POLL_INTERVAL_MS', parse: integerAtLeast(50), default: 2000, reloadable: true },
+  maxPollIntervalMs: { env: 'MAX_POLL_INTERVAL_MS', parse: integerAtLeast(50), default: 120000, reloadable: true },
+  statusEmoji: { env: 'SLACK_STATUS_EMOJI', parse: parseString, default: ':musical_note:', reloadable: true },
+  statusEmojiRules: { env: 'SLACK_STATUS_EMOJI_RULES', parse: validatedJson(describeEmojiRuleProblems), default: [], reloadable: true },
+  statusFormat: { env: 'STATUS_FORMAT', parse: parseString, default: null, reloadable: true },
+  podcastFormat: { env: 'PODCAST_FORMAT', parse: parseString, default: null, reloadable: true },
+  statusMaxLength: { env: 'STATUS_MAX_LENGTH', parse: integerAtLeast(1), default: 100, reloadable: true },
+  statusEllipsis: { env: 'STATUS_ELLIPSIS', parse: parseString, default: '…', reloadable: true },
+  clearStatusOnPause: { env: 'CLEAR_STATUS_ON_PAUSE', parse: parseBoolean, default: true, reloadable: true },
+  expireStatus: { env: 'EXPIRE_STATUS', parse: parseBoolean, default: true, reloadable: true },
+  statusExpirationGraceSeconds: {
+    env: 'STATUS_EXPIRATION_GRACE_SECONDS',
+    parse: integerAtLeast(0),
+    default: 120,
+    reloadable: true,
+  },
+  pausedStatusExpirationMinutes: {
+    env: 'PAUSED_STATUS_EXPIRATION_MINUTES',
+    parse: integerAtLeast(0),
+    default: 30,
+    reloadable: true,
+  },
+  preserveManualStatus: { env: 'PRESERVE_MANUAL_STATUS', parse: parseBoolean, default: true, reloadable: true },
+  updateProfilePhoto: { env: 'UPDATE_PROFILE_PHOTO', parse: parseBoolean, default: false, reloadable: true },
+  historyMinListenSeconds: { env: 'HISTORY_MIN_LISTEN_SECONDS', parse: integerAtLeast(0), default: 30, reloadable: true },
+  digest: { env: 'DIGEST', parse: validatedJson(describeDigestProblems), default: null, reloadable: true },
+  privacyFilters: { env: 'PRIVACY_FILTERS', parse: validatedJson(describePrivacyFilterProblems), default: null, reloadable: true },
+  privacyAction: { env: 'PRIVACY_ACTION', parse: oneOf(PRIVACY_ACTIONS), default: 'stop', reloadable: true },
+  privacyText: { env: 'PRIVACY_TEXT', parse: parseString, default: 'Listening to music', reloadable: true },
+  schedule: { env: 'SCHEDULE', parse: validatedJson(describeScheduleProblems), default: null, reloadable: true },
+  respectDnd: { env: 'RESPECT_DND', parse: parseBoolean, default: false, reloadable: true },
+  respectPresence: { env: 'RESPECT_PRESENCE', parse: parseBoolean, default: false, reloadable: true },
+};
+
+function defaultConfigPath(env = process.env) {
+  const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'slack-currenttrack', 'config.json');
+}
+
+// Returns { config, errors, file }. `errors` names every bad key; callers decide
+// whether that is fatal (startup) or means "keep the old config" (reload).
+function loadConfig(env = process.env) {
+  const errors = [];
+  const explicitPath = env.SLACK_CURRENTTRACK_CONFIG;
+  const file = explicitPath || defaultConfigPath(env);
+  const fileValues = readConfigFile(file, Boolean(explicitPath), errors);
+
+  const config = {};
+  Object.entries(SETTINGS).forEach(([key, setting]) => {
+    let value = setting.default;
+    if (fileValues && Object.prototype.hasOwnProperty.call(fileValues, key)) {
+      const parsed = setting.parse(fileValues[key], { allowNull: true });
+      if (parsed.error) {
+        errors.push(`${file}: "${key}" ${parsed.error}, got ${JSON.stringify(fileValues[key])}`);
+      } else {
+        ({ value } = parsed);
+      }
+    }
+    const envValue = env[setting.env];
+    if (envValue !== undefined && (envValue !== '' || setting.parse === parsePath)) {
+      const parsed = setting.parse(envValue, { allowNull: false });
+      if (parsed.error) {
+        errors.push(`${setting.env} ${parsed.error}, got ${JSON.stringify(envValue)}`);
+      } else {
+        ({ value } = parsed);
+      }
+    }
+    config[key] = value;
+  });
+  if (config.digest && (!config.historyFile || !config.digestStateFile)) {
+    errors.push('digest needs historyFile (the plays to summarize) and digestStateFile (to never post twice)');
+  }
+  if (config.controlPort !== null && !config.controlToken && !isLoopbackHost(config.controlHost)) {
+    errors.push(`controlToken is required when the control API listens on ${config.controlHost}, which is not a loopback address`);
+  }
+  if (config.minPollIntervalMs > config.maxPollIntervalMs) {
+    errors.push(`minPollIntervalMs (${config.minPollIntervalMs}) must not be larger than maxPollIntervalMs (${config.maxPollIntervalMs})`);
+  }
+
+  return { config, errors, file: fileValues ? file : null };
+}
+
+function readConfigFile(file, required, errors) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT' || required) {
+      errors.push(`${file}: ${error.message}`);
+    }
+    return null;
+  }
+
+  let values;
+  try {
+    values = JSON.parse(text);
+  } catch (error) {
+    errors.push(`${file}: invalid JSON (${error.message})`);
+    return null;
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    errors.push(`${file}: expected a JSON object`);
+    return null;
+  }
+
+  Object.keys(values).forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(SETTINGS, key)) {
+      const suggestion = suggestKey(key);
+      errors.push(`${file}: unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+    }
+  });
+  return values;
+}
+
+function suggestKey(key) {
+  const normalized = key.replace(/[_-]/g, '').toLowerCase();
+  return Object.keys(SETTINGS).find((candidate) => {
+    const names = [candidate.toLowerCase(), SETTINGS[candidate].env.replace(/_/g, '').toLowerCase()];
+    return names.some((name) => name === normalized || name.startsWith(normalized) || normalized.startsWith(name));
+  }) || null;
+}
+
+// Compares a freshly loaded config with the running one. Returns the config to
+// apply (restart-only settings keep their old values) and the keys that changed.
+function mergeReloadedConfig(current, next) {
+  const merged = { ...current };
+  const changed = [];
+  const ignored = [];
+  Object.entries(SETTINGS).forEach(([key, setting]) => {
+    if (sameValue(current[key], next[key])) {
+      return;
+    }
+    if (setting.reloadable) {
+      merged[key] = next[key];
+      changed.push(key);
+    } else {
+      ignored.push(key);
+    }
+  });
+  return { config: merged, changed, ignored };
+}
+
+function sameValue(a, b) {
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+// Parses JSON given inline in the file or as a JSON string in the environment.
+function parseJson(value) {
+  if (typeof value !== 'string') {
+    return { value };
+  }
+  try {
+    return { value: JSON.parse(value) };
+  } catch (error) {
+    return { error: `must be valid JSON (${error.message})` };
+  }
+}
+
+// Builds a parser for structured settings: JSON that must also pass `describeProblems`.
+function validatedJson(describeProblems) {
+  return (value, { allowNull }) => {
+    if (value === null && allowNull) {
+      return { value: null };
+    }
+    const parsed = parseJson(value);
+    if (parsed.error) {
+      return parsed;
+    }
+    const problems = describeProblems(parsed.value);
+    if (problems.length > 0) {
+      return { error: problems.join('; ') };
+    }
+    return parsed;
+  };
+}
+
+function oneOf(values) {
+  return (value) => {
+    const normalized = typeof value === 'string' ? value.trim().toLowerCase() : value;
+    if (!values.includes(normalized)) {
+      return { error: `must be one of ${values.join(', ')}` };
+    }
+    return { value: normalized };
+  };
+}
+
+function parseString(value, { allowNull }) {
+  if (value === null && allowNull) {
+    return { value: null };
+  }
+  if (typeof value !== 'string') {
+    return { error: 'must be a string' };
+  }
+  return { value };
+}
+
+function parsePath(value, { allowNull }) {
+  if (value === null && allowNull) {
+    return { value: null };
+  }
+  if (typeof value !== 'string') {
+    return { error: 'must be a file path, or empty to disable' };
+  }
+  if (value === '') {
+    return { value: null };
+  }
+  return { value: value.startsWith('~/') ? path.join(os.homedir(), value.slice(2)) : value };
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') {
+    return { value };
+  }
+  if (typeof value === 'string') {
+    const normalized = value.trim().toLowerCase();
+    if (TRUE_VALUES.includes(normalized)) {
+      return { value: true };
+    }
+    if (FALSE_VALUES.includes(normalized)) {
+      return { value: false };
+    }
+  }
+  return { error: `must be one of ${TRUE_VALUES.concat(FALSE_VALUES).join(', ')}` };
+}
+
+function integerAtLeast(minimum) {
+  return (value) => {
+    const text = typeof value === 'number' ? String(value) : value;
+    if (typeof text !== 'string' || !/^\s*\d+\s*$/.test(text)) {
+      return { error: `must be a whole number >= ${minimum}` };
+    }
+    const parsed = Number.parseInt(text, 10);
+    if (parsed < minimum) {
+      return { error: `must be a whole number >= ${minimum}` };
+    }
+    return { value: parsed };
+  };
+}
+
+function parsePort(value, { allowNull }) {
+  if (value === null && allowNull) {
+    return { value: null };
+  }
+  const parsed = integerAtLeast(0)(value);
+  if (parsed.error || parsed.value > 65535) {
+    return { error: 'must be a port number from 0 to 65535' };
+  }
+  return parsed;
+}
+
+function parseApiUrl(value) {
+  if (typeof value !== 'string') {
+    return { error: 'must be a URL string' };
+  }
+  const problem = describeApiUrlProblem(value);
+  if (problem) {
+    return { error: `is invalid (${problem})` };
+  }
+  return { value };
+}
+
+const PLAYER_ALIASES = {
+  music: 'music',
+  'apple-music': 'music',
+  applemusic: 'music',
+  apple_music: 'music',
+  spotify: 'spotify',
+  mpris: 'mpris',
+  playerctl: 'mpris',
+  linux: 'mpris',
+};
+
+// An ordered list of players, most preferred first: "spotify,music" in the
+// environment, or a string or array in the config file. `auto` stands for
+// Spotify then Apple Music on macOS and MPRIS players elsewhere.
+function parsePlayer(value) {
+  const entries = Array.isArray(value) ? value : [value];
+  if (entries.some((entry) => typeof entry !== 'string')) {
+    return { error: 'must be a string or an array of strings' };
+  }
+  const players = [];
+  const names = entries.flatMap((item) => item.split(',')).map((item) => item.trim()).filter(Boolean);
+  for (const entry of names) {
+    const normalized = entry.toLowerCase();
+    let expanded;
+    if (normalized === 'auto') {
+      expanded = process.platform === 'darwin' ? ['spotify', 'music'] : ['mpris'];
+    } else if (PLAYER_ALIASES[normalized]) {
+      expanded = [PLAYER_ALIASES[normalized]];
+    } else {
+      return { error: `must list players from music, spotify, mpris, auto (got "${entry}")` };
+    }
+    expanded.filter((name) => !players.includes(name)).forEach((name) => players.push(name));
+  }
+  if (players.length === 0) {
+    return { error: 'must name at least one player' };
+  }
+  return { value: players };
+}
+
+module.exports = {
+  SETTINGS,
+  defaultConfigPath,
+  loadConfig,
+  mergeReloadedConfig,
+};
@@ -0,0 +1,93 @@
+// Local HTTP control API for the running watcher.
+//
+//   GET  /now                      current playback, last Slack payload, sharing state
+//   GET  /metrics                  Prometheus metrics
+//   POST /sharing/pause?minutes=30 stop sharing (for good without `minutes`)
+//   POST /sharing/resume           share again
+//   POST /refresh                  poll right away
+//
+// When a token is configured every request needs `Authorization: Bearer <token>`.
+// Requests with an Origin header come from a web page and are refused. Without
+// a token, so are requests whose Host is not a loopback name, which is what a
+// DNS-rebinding page would send.
+
+const crypto = require('crypto');
+const http = require('http');
+
+const { isLoopbackHost } = require('./loopback');
+const { METRICS_CONTENT_TYPE } = require('./metrics');
+
+// `handlers` are { now(), metrics(), pause(minutes), resume(), refresh() };
+// metrics() returns the Prometheus text, the others the JSON body for their
+// response. Resolves with the listening server.
+function startControlServer({ host, port, token, handlers }) {
+  const routes = {
+    'GET /now': () => ({ status: 200, body: handlers.now() }),
+    'GET /metrics': () => ({ status: 200, text: handlers.metrics() }),
+    'POST /sharing/pause': (url) => {
+      const minutes = url.searchParams.get('minutes');
+      if (minutes !== null && (!/^\d+$/.test(minutes) || Number(minutes) < 1)) {
+        return { status: 400, body: { ok: false, error: 'minutes must be a whole number of at least 1' } };
+      }
+      return { status: 200, body: handlers.pause(minutes === null ? null : Number(minutes)) };
+    },
+    'POST /sharing/resume': () => ({ status: 200, body: handlers.resume() }),
+    'POST /refresh': () => ({ status: 202, body: handlers.refresh() }),
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let result;
+    if (req.headers.origin !== undefined || (!token && !isLoopbackHost(hostnameOf(req.headers.host)))) {
+      result = { status: 403, body: { ok: false, error: 'forbidden' } };
+    } else if (token && !hasToken(req.headers.authorization, token)) {
+      result = { status: 401, body: { ok: false, error: 'invalid_token' } };
+    } else if (routes[`${req.method} ${url.pathname}`]) {
+      result = routes[`${req.method} ${url.pathname}`](url);
+    } else if (Object.keys(routes).some((route) => route.endsWith(` ${url.pathname}`))) {
+      result = { status: 405, body: { ok: false, error: 'method_not_allowed' } };
+    } else {
+      result = { status: 404, body: { ok: false, error: 'not_found' } };
+    }
+    if (result.text !== undefined) {
+      res.writeHead(result.status, { 'Content-Type': METRICS_CONTENT_TYPE });
+      res.end(result.text);
+    } else {
+      res.writeHead(result.status, { 'Content-Type': 'application/json' });
+      res.end(`${JSON.stringify(result.body, null, 2)}\n`);
+    }
+    // The body is never read; drain it so keep-alive connections stay usable.
+    req.resume();
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+// "127.0.0.1:8787" -> "127.0.0.1", "[::1]:8787" -> "[::1]"; null when missing
+// or malformed.
+function hostnameOf(header) {
+  if (!header) {
+    return null;
+  }
+  try {
+    return new URL(`http://${header}`).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+function hasToken(header, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(header || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  startControlServer,
+};
@@ -0,0 +1,61 @@
+// Where `login` keeps the Slack token. A credential store is
+//
+//   { location, read(), write(credentials) }
+//
+// `read` is synchronous so the token is known before the Slack client is
+// built; it returns null when nothing was saved. Credentials look like
+//
+//   { "token": "xoxp-…", "userId": "U0123", "teamId": "T0123", "teamName": "Acme",
+//     "scopes": ["users.profile:read", "users.profile:write"], "savedAt": "…" }
+
+const fs = require('fs');
+const path = require('path');
+
+// A file only its owner can read, like ~/.ssh keys. A file others can read
+// is refused rather than used.
+function createFileCredentialStore(file) {
+  return {
+    location: file,
+    read() {
+      let stats;
+      try {
+        stats = fs.statSync(file);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+      if (process.platform !== 'win32' && (stats.mode & 0o077) !== 0) {
+        throw new Error(`${file} can be read by other users; run chmod 600 ${file} or log in again`);
+      }
+      let credentials;
+      try {
+        credentials = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`${file}: invalid JSON (${error.message})`);
+      }
+      if (!credentials || typeof credentials.token !== 'string' || !credentials.token) {
+        throw new Error(`${file}: no token saved`);
+      }
+      return credentials;
+    },
+    // Writes a fresh 0600 file next to the old one and renames it over, so the
+    // token is never readable by others, not even briefly.
+    async write(credentials) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+      const temporary = `${file}.${process.pid}.tmp`;
+      try {
+        await fs.promises.writeFile(temporary, `${JSON.stringify(credentials, null, 2)}\n`, { mode: 0o600, flag: 'wx' });
+        await fs.promises.rename(temporary, file);
+      } catch (error) {
+        await fs.promises.rm(temporary, { force: true });
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createFileCredentialStore,
+};
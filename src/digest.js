@@ -0,0 +1,111 @@
+// Weekly listening digest posted to a Slack channel.
+//
+//   { "channel": "C0123ABCD", "day": "fri", "time": "16:00", "timezone": "Europe/Berlin" }
+//
+// The digest covers the 7 days before the scheduled time. It is due from that
+// time until CATCH_UP_MS later, so a watcher that starts a little late still
+// posts it; each scheduled time is posted at most once.
+
+const { formatListeningTime } = require('./history');
+const {
+  DAYS,
+  TIME_PATTERN,
+  isKnownTimezone,
+  localTime,
+  toMinutes,
+} = require('./schedule');
+
+const KEYS = ['channel', 'day', 'time', 'timezone', 'top'];
+const MINUTES_PER_WEEK = 7 * 24 * 60;
+const CATCH_UP_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_TOP = 5;
+
+function describeDigestProblems(digest) {
+  if (!digest || typeof digest !== 'object' || Array.isArray(digest)) {
+    return ['must be an object with "channel", "day" and "time"'];
+  }
+  const problems = [];
+  Object.keys(digest).forEach((key) => {
+    if (!KEYS.includes(key)) {
+      problems.push(`unknown key "${key}"`);
+    }
+  });
+  if (typeof digest.channel !== 'string' || !digest.channel) {
+    problems.push('channel must be a channel ID or name');
+  }
+  if (!DAYS.includes(String(digest.day).toLowerCase())) {
+    problems.push(`day must be one of ${DAYS.join(', ')}`);
+  }
+  if (!TIME_PATTERN.test(digest.time || '')) {
+    problems.push('time must be a time like 16:00');
+  }
+  if (digest.timezone !== undefined && !isKnownTimezone(digest.timezone)) {
+    problems.push(`timezone "${digest.timezone}" is not a known IANA timezone`);
+  }
+  if (digest.top !== undefined && !(Number.isInteger(digest.top) && digest.top >= 1 && digest.top <= 10)) {
+    problems.push('top must be a whole number from 1 to 10');
+  }
+  return problems;
+}
+
+// Returns the scheduled time (ms, on a whole minute) whose digest is due at
+// `now`, or null when none is.
+function findDueDigest(digest, now = Date.now()) {
+  const { day, minutes } = localTime(digest.timezone, new Date(now));
+  const weekMinute = DAYS.indexOf(day) * 24 * 60 + minutes;
+  const scheduledMinute = DAYS.indexOf(digest.day.toLowerCase()) * 24 * 60 + toMinutes(digest.time);
+  const minutesSince = (weekMinute - scheduledMinute + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+  if (minutesSince * 60000 >= CATCH_UP_MS) {
+    return null;
+  }
+  return Math.floor(now / 60000) * 60000 - minutesSince * 60000;
+}
+
+// Builds the chat.postMessage arguments from a summarizeHistory() result.
+function buildDigestMessage(digest, summary) {
+  const period = `${formatDay(summary.since, digest.timezone)} – ${formatDay(summary.until, digest.timezone)}`;
+  const totals = `${formatListeningTime(summary.listenedMs)} of music over ${summary.plays} ${summary.plays === 1 ? 'play' : 'plays'}`;
+  const artists = summary.topArtists.map((entry) => entry.artist);
+  const tracks = summary.topTracks.map((entry) => `${entry.title} — ${entry.artist}`);
+  return {
+    channel: digest.channel,
+    // The notification text: escaped like the blocks, and with formatting off
+    // so names with * or _ show as written.
+    text: `What I listened to this week: ${tracks.slice(0, 3).map(escapeMrkdwn).join(', ')} (${totals})`,
+    mrkdwn: false,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: 'What I listened to this week' } },
+      {
+        type: 'section',
+        fields: [
+          { type: 'mrkdwn', text: `*Top artists*\n${numbered(artists, summary.topArtists)}` },
+          { type: 'mrkdwn', text: `*Top tracks*\n${numbered(tracks, summary.topTracks)}` },
+        ],
+      },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `${totals} · ${period}` }] },
+    ],
+  };
+}
+
+function numbered(labels, entries) {
+  return labels
+    .map((label, index) => `${index + 1}. ${escapeMrkdwn(label)} (${entries[index].plays})`)
+    .join('\n');
+}
+
+// Slack treats &, < and > as control characters in mrkdwn.
+function escapeMrkdwn(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function formatDay(iso, timezone) {
+  return new Intl.DateTimeFormat('en-US', { timeZone: timezone || undefined, month: 'short', day: 'numeric' })
+    .format(new Date(iso));
+}
+
+module.exports = {
+  DEFAULT_DIGEST_TOP: DEFAULT_TOP,
+  buildDigestMessage,
+  describeDigestProblems,
+  findDueDigest,
+};
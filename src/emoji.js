@@ -0,0 +1,106 @@
+// Ordered status emoji rules. The first rule whose conditions all match the
+// current playback wins; SLACK_STATUS_EMOJI is the fallback.
+//
+//   { "emoji": ":spotify:", "source": "spotify" }
+//   { "emoji": ":double_vertical_bar:", "state": "paused" }
+//   { "emoji": ":metal:", "artist": "metallica|slayer" }
+//   { "emoji": ":studio_microphone:", "mediaType": "episode" }
+//
+// `mediaType` is whatever the player reader reports, so every reader sets it.
+
+const TEXT_CONDITIONS = ['artist', 'album', 'title'];
+const VALUE_CONDITIONS = ['source', 'state', 'mediaType', 'player'];
+const RULE_KEYS = new Set(['emoji', ...TEXT_CONDITIONS, ...VALUE_CONDITIONS]);
+// "podcast" is what episodes were called before Spotify items were classified
+// by URI; rules that use it keep matching episodes.
+const MEDIA_TYPE_ALIASES = { track: 'track', episode: 'episode', podcast: 'episode' };
+
+const compiledRules = new WeakMap();
+
+// Returns a list of problems (empty when the rules are usable). Used by config
+// validation so that a bad regex is reported by rule index at startup.
+function describeEmojiRuleProblems(rules) {
+  if (!Array.isArray(rules)) {
+    return ['must be a list of rules'];
+  }
+  const problems = [];
+  rules.forEach((rule, index) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      problems.push(`[${index}] must be an object`);
+      return;
+    }
+    if (typeof rule.emoji !== 'string') {
+      problems.push(`[${index}].emoji must be a string`);
+    }
+    Object.keys(rule).forEach((key) => {
+      if (!RULE_KEYS.has(key)) {
+        problems.push(`[${index}] has unknown condition "${key}"`);
+      }
+    });
+    TEXT_CONDITIONS.concat(VALUE_CONDITIONS).forEach((key) => {
+      if (rule[key] === undefined) {
+        return;
+      }
+      if (typeof rule[key] !== 'string') {
+        problems.push(`[${index}].${key} must be a string`);
+        return;
+      }
+      if (key === 'mediaType' && !MEDIA_TYPE_ALIASES[rule[key].toLowerCase()]) {
+        problems.push(`[${index}].mediaType must be one of ${Object.keys(MEDIA_TYPE_ALIASES).join(', ')}`);
+      }
+      if (TEXT_CONDITIONS.includes(key)) {
+        try {
+          RegExp(rule[key], 'i');
+        } catch (error) {
+          problems.push(`[${index}].${key} is not a valid regular expression (${error.message})`);
+        }
+      }
+    });
+  });
+  return problems;
+}
+
+function compileEmojiRules(rules) {
+  let compiled = compiledRules.get(rules);
+  if (!compiled) {
+    compiled = rules.map((rule) => ({
+      emoji: rule.emoji,
+      patterns: TEXT_CONDITIONS
+        .filter((key) => rule[key] !== undefined)
+        .map((key) => ({ key, pattern: new RegExp(rule[key], 'i') })),
+      values: VALUE_CONDITIONS
+        .filter((key) => rule[key] !== undefined)
+        .map((key) => {
+          const value = rule[key].toLowerCase();
+          return { key, value: key === 'mediaType' ? MEDIA_TYPE_ALIASES[value] || value : value };
+        }),
+    }));
+    compiledRules.set(rules, compiled);
+  }
+  return compiled;
+}
+
+function selectStatusEmoji(rules, playback, defaultEmoji) {
+  const facts = {
+    state: playback.state,
+    source: playback.track ? playback.track.source : '',
+    player: playback.track && playback.track.player ? playback.track.player : '',
+    mediaType: playback.track ? playback.track.mediaType : '',
+  };
+  const match = compileEmojiRules(rules || []).find((rule) => (
+    rule.values.every(({ key, value }) => String(facts[key]).toLowerCase() === value)
+    && rule.patterns.every(({ key, pattern }) => (
+      playback.track !== null && pattern.test(playback.track[key] || '')
+    ))
+  ));
+  return stripProgressToken(match ? match.emoji : defaultEmoji);
+}
+
+function stripProgressToken(emoji) {
+  return emoji.replace(/%pb%/g, '').trim();
+}
+
+module.exports = {
+  describeEmojiRuleProblems,
+  selectStatusEmoji,
+};
@@ -0,0 +1,317 @@
+// STATUS_FORMAT language.
+//
+//   %ar%                token (see TOKENS)
+//   %al|Single%         fallback text when the token is empty
+//   %ar:upper%          filters, chainable: %so:lower:truncate(20)|none%
+//   {?} (%al%){/?}      optional section, dropped when any token inside is empty
+//   {p}...{/p} {q}...{/q}  paused / stopped variants (see parseFormat)
+//
+// %sh% (show) and %ep% (episode) are only filled in for episodes
+// (mediaType "episode"), which PODCAST_FORMAT renders.
+
+const TOKENS = {
+  ar: (track) => track.artist,
+  al: (track) => track.album,
+  so: (track) => track.title,
+  sh: (track) => (track.mediaType === 'episode' ? track.album || track.artist : ''),
+  ep: (track) => (track.mediaType === 'episode' ? track.title : ''),
+  pb: (track) => buildProgressBar(track.positionMs, track.durationMs),
+  el: (track) => formatClock(track.positionMs),
+  du: (track) => formatClock(track.durationMs),
+  rm: (track) => (Number.isFinite(track.durationMs) && Number.isFinite(track.positionMs)
+    ? formatClock(Math.max(0, track.durationMs - track.positionMs))
+    : ''),
+  pl: (track) => describeSource(track),
+  bn: () => '\u266B',
+  en: () => '\u266A',
+};
+
+// Tokens that render without a track (they do not depend on playback).
+const STATIC_TOKENS = new Set(['bn', 'en']);
+
+const FILTERS = {
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  trim: (value) => value.trim(),
+  truncate: (value, limit, { ellipsis }) => {
+    if (!Number.isFinite(limit)) {
+      return value;
+    }
+    return truncateGraphemes(value, Math.max(0, limit - splitGraphemes(ellipsis).length), ellipsis);
+  },
+};
+
+// When the status is too long, fields are shortened in this order; the title
+// goes last so it stays readable, and literal template text is never cut
+// unless nothing else is left to shorten.
+const SHRINK_ORDER = ['album', 'artist', 'title'];
+const MIN_GRAPHEMES = {
+  album: 0,
+  artist: 1,
+  title: 1,
+};
+const DEFAULT_ELLIPSIS = '…';
+
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+const SOURCE_NAMES = {
+  music: 'Apple Music',
+  spotify: 'Spotify',
+};
+
+const TOKEN_PATTERN = /^%([a-z]{2})((?::[a-z]+(?:\(\d+\))?)*)(?:\|([^%]*))?%/;
+const FILTER_PATTERN = /:([a-z]+)(?:\((\d+)\))?/g;
+const SECTION_OPEN = '{?}';
+const SECTION_CLOSE = '{/?}';
+// Left in the rendered text where an empty token or a dropped section was, so
+// only the spaces around it are collapsed; spaces typed in the format stay.
+const REMOVED = '\u0000';
+const REMOVED_GAP_PATTERN = /[ \u0000]*\u0000[ \u0000]*/g;
+
+const compiledTemplates = new Map();
+
+function parseFormat(format) {
+  let playing = format;
+  let paused = null;
+  let quiet = null;
+  playing = playing.replace(/\{p\}([\s\S]*?)\{\/p\}/gi, (match, inner) => {
+    if (paused === null) {
+      paused = inner;
+    }
+    return '';
+  });
+  playing = playing.replace(/\{q\}([\s\S]*?)\{\/q\}/gi, (match, inner) => {
+    if (quiet === null) {
+      quiet = inner;
+    }
+    return '';
+  });
+  return {
+    playing: playing.trim(),
+    paused: paused !== null ? paused : null,
+    quiet: quiet !== null ? quiet : null,
+  };
+}
+
+function applyFormat(template, track, { ellipsis = DEFAULT_ELLIPSIS } = {}) {
+  if (!template) {
+    return '';
+  }
+  let nodes = compiledTemplates.get(template);
+  if (!nodes) {
+    nodes = compileTemplate(template);
+    compiledTemplates.set(template, nodes);
+  }
+  return renderNodes(nodes, track, { ellipsis }).text
+    .replace(REMOVED_GAP_PATTERN, (gap) => (gap.includes(' ') ? ' ' : ''))
+    .trim();
+}
+
+// Renders `template` and fits it into `maxLength` UTF-16 code units (what Slack
+// counts) by shortening whole fields in SHRINK_ORDER, cutting only on grapheme
+// cluster boundaries.
+function renderStatusText(template, track, { maxLength, ellipsis = DEFAULT_ELLIPSIS }) {
+  const options = { ellipsis };
+  let text = applyFormat(template, track, options);
+  if (text.length <= maxLength || !track) {
+    return clampText(text, maxLength, ellipsis);
+  }
+
+  const shortened = { ...track };
+  SHRINK_ORDER.forEach((field) => {
+    if (text.length <= maxLength || !shortened[field]) {
+      return;
+    }
+    // Binary search for the most graphemes that fit: lengths are in UTF-16
+    // code units, so one grapheme can be several units long.
+    const render = (keep) => applyFormat(template, {
+      ...shortened,
+      [field]: truncateGraphemes(track[field], keep, ellipsis),
+    }, options);
+    let low = MIN_GRAPHEMES[field];
+    let high = splitGraphemes(track[field]).length - 1;
+    if (low > high || render(low).length > maxLength) {
+      high = low;
+    }
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (render(middle).length <= maxLength) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    shortened[field] = truncateGraphemes(track[field], low, ellipsis);
+    text = applyFormat(template, shortened, options);
+  });
+  return clampText(text, maxLength, ellipsis);
+}
+
+function splitGraphemes(value) {
+  if (graphemeSegmenter) {
+    return Array.from(graphemeSegmenter.segment(value), (part) => part.segment);
+  }
+  return Array.from(value);
+}
+
+function truncateGraphemes(value, keep, ellipsis) {
+  const graphemes = splitGraphemes(value);
+  if (graphemes.length <= keep) {
+    return value;
+  }
+  if (keep <= 0) {
+    return '';
+  }
+  return `${graphemes.slice(0, keep).join('').trimEnd()}${ellipsis}`;
+}
+
+// Last resort: cut the rendered text itself at a grapheme boundary.
+function clampText(value, maxLength, ellipsis) {
+  if (!value || value.length <= maxLength) {
+    return value;
+  }
+  const suffix = ellipsis.length < maxLength ? ellipsis : '';
+  let output = '';
+  splitGraphemes(value).some((grapheme) => {
+    if (output.length + grapheme.length + suffix.length > maxLength) {
+      return true;
+    }
+    output += grapheme;
+    return false;
+  });
+  return `${output.trimEnd()}${suffix}`;
+}
+
+// Turns a template into a tree of text, token and section nodes. Anything that
+// does not parse as a known token or a balanced section is kept as literal text.
+function compileTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let text = '';
+  let index = 0;
+
+  const flushText = () => {
+    if (text) {
+      stack[stack.length - 1].children.push({ type: 'text', value: text });
+      text = '';
+    }
+  };
+
+  while (index < template.length) {
+    const rest = template.slice(index);
+    if (rest.startsWith(SECTION_OPEN)) {
+      flushText();
+      const section = { type: 'section', children: [] };
+      stack[stack.length - 1].children.push(section);
+      stack.push(section);
+      index += SECTION_OPEN.length;
+    } else if (rest.startsWith(SECTION_CLOSE) && stack.length > 1) {
+      flushText();
+      stack.pop();
+      index += SECTION_CLOSE.length;
+    } else {
+      const match = rest.charAt(0) === '%' ? TOKEN_PATTERN.exec(rest) : null;
+      if (match && TOKENS[match[1]]) {
+        flushText();
+        stack[stack.length - 1].children.push({
+          type: 'token',
+          name: match[1],
+          filters: parseFilters(match[2]),
+          fallback: match[3] !== undefined ? match[3] : null,
+        });
+        index += match[0].length;
+      } else {
+        text += rest.charAt(0);
+        index += 1;
+      }
+    }
+  }
+  flushText();
+  // A {?} that is never closed is literal text; what followed it stays in place.
+  while (stack.length > 1) {
+    const section = stack.pop();
+    const siblings = stack[stack.length - 1].children;
+    siblings.splice(siblings.indexOf(section), 1, { type: 'text', value: SECTION_OPEN }, ...section.children);
+  }
+  return root.children;
+}
+
+function parseFilters(spec) {
+  const filters = [];
+  let match = FILTER_PATTERN.exec(spec);
+  while (match) {
+    if (FILTERS[match[1]]) {
+      filters.push({ name: match[1], arg: match[2] !== undefined ? Number.parseInt(match[2], 10) : null });
+    }
+    match = FILTER_PATTERN.exec(spec);
+  }
+  FILTER_PATTERN.lastIndex = 0;
+  return filters;
+}
+
+// Returns the rendered text and whether any token in it came out empty, which
+// is what makes an enclosing {?} section disappear.
+function renderNodes(nodes, track, options) {
+  let text = '';
+  let missing = false;
+  nodes.forEach((node) => {
+    if (node.type === 'text') {
+      text += node.value;
+      return;
+    }
+    if (node.type === 'section') {
+      const section = renderNodes(node.children, track, options);
+      text += section.missing ? REMOVED : section.text;
+      return;
+    }
+    let value = track || STATIC_TOKENS.has(node.name) ? TOKENS[node.name](track || {}) || '' : '';
+    if (!value && node.fallback !== null) {
+      value = node.fallback;
+    }
+    if (!value) {
+      missing = true;
+      text += REMOVED;
+      return;
+    }
+    text += node.filters.reduce((current, filter) => FILTERS[filter.name](current, filter.arg, options), value);
+  });
+  return { text, missing };
+}
+
+function describeSource(track) {
+  if (track.source === 'mpris' && track.player) {
+    return track.player.charAt(0).toUpperCase() + track.player.slice(1);
+  }
+  return SOURCE_NAMES[track.source] || '';
+}
+
+function formatClock(ms) {
+  if (!Number.isFinite(ms)) {
+    return '';
+  }
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+function buildProgressBar(positionMs, durationMs) {
+  if (!Number.isFinite(positionMs) || !Number.isFinite(durationMs) || durationMs <= 0) {
+    return '';
+  }
+  const slots = 9;
+  const ratio = Math.min(Math.max(positionMs / durationMs, 0), 1);
+  const index = Math.floor(ratio * (slots - 1));
+  const chars = Array.from({ length: slots }, () => '-');
+  chars[index] = '|';
+  return chars.join('');
+}
+
+module.exports = {
+  applyFormat,
+  formatClock,
+  parseFormat,
+  renderStatusText,
+};
@@ -0,0 +1,178 @@
+// Listening history: one JSON object per line, appended when a play ends.
+//
+//   {"startedAt":"2026-10-19T09:12:03.000Z","listenedMs":241000,"source":"spotify",
+//    "artist":"Daft Punk","title":"Digital Love","album":"Discovery"}
+//
+// A play ends when the track changes, playback stops or the watcher exits. It
+// is only kept when it was listened to for at least the minimum listen time
+// (or half of a track shorter than twice that).
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const RANGES = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+};
+
+// Follows playback poll by poll. `observe` returns the play that just ended
+// (if it counts), or null.
+function createListeningTracker() {
+  let current = null;
+
+  function observe(playback, { minListenMs, now = Date.now() }) {
+    const { track } = playback;
+    const key = track ? `${track.source}||${track.artist}||${track.title}||${track.album}` : null;
+    let finished = null;
+    if (current && (key !== current.key || restarted(track))) {
+      finished = finish(minListenMs);
+    }
+    if (!track || playback.state === 'stopped') {
+      return finished;
+    }
+    if (!current) {
+      current = {
+        key,
+        startedAt: now,
+        listenedMs: 0,
+        durationMs: track.durationMs,
+        seenAt: now,
+        positionMs: track.positionMs,
+        playing: false,
+        record: { source: track.source, artist: track.artist, title: track.title, album: track.album },
+      };
+    }
+    if (current.playing) {
+      current.listenedMs += listenedSince(track, now);
+    }
+    current.playing = playback.state === 'playing';
+    current.seenAt = now;
+    current.positionMs = track.positionMs;
+    return finished;
+  }
+
+  // A position that jumps back to the start of the same track is a repeat.
+  function restarted(track) {
+    return Number.isFinite(current.positionMs) && Number.isFinite(track.positionMs)
+      && track.positionMs < 5000 && current.positionMs - track.positionMs > 10000;
+  }
+
+  // Wall-clock time since the last poll, but never more than the player moved
+  // forward (so a sleeping laptop or a long gap between polls is not counted).
+  function listenedSince(track, now) {
+    const elapsed = Math.max(0, now - current.seenAt);
+    if (Number.isFinite(current.positionMs) && Number.isFinite(track.positionMs)) {
+      return Math.min(elapsed, Math.max(0, track.positionMs - current.positionMs));
+    }
+    return elapsed;
+  }
+
+  function finish(minListenMs) {
+    const play = current;
+    current = null;
+    const threshold = Number.isFinite(play.durationMs) && play.durationMs > 0
+      ? Math.min(minListenMs, play.durationMs / 2)
+      : minListenMs;
+    if (play.listenedMs < threshold || play.listenedMs === 0) {
+      return null;
+    }
+    return {
+      startedAt: new Date(play.startedAt).toISOString(),
+      listenedMs: Math.round(play.listenedMs),
+      ...play.record,
+    };
+  }
+
+  return {
+    observe,
+    flush({ minListenMs }) {
+      return current ? finish(minListenMs) : null;
+    },
+  };
+}
+
+async function appendHistory(file, play) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(file, `${JSON.stringify(play)}\n`, 'utf8');
+}
+
+// Reads every well-formed play; a line cut short by a crash is skipped.
+async function readHistory(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  const plays = [];
+  text.split('\n').forEach((line) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      const play = JSON.parse(line);
+      if (typeof play.startedAt === 'string' && Number.isFinite(play.listenedMs)) {
+        plays.push(play);
+      }
+    } catch (error) {
+      // Ignore partial lines.
+    }
+  });
+  return plays;
+}
+
+function summarizeHistory(plays, { range, now = Date.now(), limit = 5 }) {
+  const since = now - RANGES[range];
+  const inRange = plays.filter((play) => {
+    const startedAt = Date.parse(play.startedAt);
+    return startedAt >= since && startedAt <= now;
+  });
+  return {
+    range,
+    since: new Date(since).toISOString(),
+    until: new Date(now).toISOString(),
+    plays: inRange.length,
+    listenedMs: inRange.reduce((total, play) => total + play.listenedMs, 0),
+    topArtists: rank(inRange, (play) => ({ artist: play.artist }), limit),
+    topAlbums: rank(inRange.filter((play) => play.album), (play) => ({ artist: play.artist, album: play.album }), limit),
+    topTracks: rank(inRange, (play) => ({ artist: play.artist, title: play.title }), limit),
+  };
+}
+
+function formatListeningTime(ms) {
+  const totalMinutes = Math.round(ms / 60000);
+  if (totalMinutes < 60) {
+    return `${totalMinutes}m`;
+  }
+  return `${Math.floor(totalMinutes / 60)}h ${String(totalMinutes % 60).padStart(2, '0')}m`;
+}
+
+// Groups plays by the fields `pick` returns and orders them by play count,
+// then listening time.
+function rank(plays, pick, limit) {
+  const groups = new Map();
+  plays.forEach((play) => {
+    const fields = pick(play);
+    const key = JSON.stringify(fields);
+    const group = groups.get(key) || { ...fields, plays: 0, listenedMs: 0 };
+    group.plays += 1;
+    group.listenedMs += play.listenedMs;
+    groups.set(key, group);
+  });
+  return Array.from(groups.values())
+    .sort((a, b) => b.plays - a.plays || b.listenedMs - a.listenedMs)
+    .slice(0, limit);
+}
+
+module.exports = {
+  HISTORY_RANGES: Object.keys(RANGES),
+  appendHistory,
+  createListeningTracker,
+  formatListeningTime,
+  readHistory,
+  summarizeHistory,
+};
@@ -0,0 +1,145 @@
+// Image header parsing for profile photos. Only the first bytes of a file are
+// read: enough to know the format and the dimensions, without decoding pixels.
+
+const PHOTO_TYPES = new Set(['png', 'jpeg', 'gif']);
+const MIN_PHOTO_SIZE = 512;
+const MAX_PHOTO_SIZE = 4096;
+
+const FORMATS = {
+  png: { mimeType: 'image/png', extension: '.png' },
+  jpeg: { mimeType: 'image/jpeg', extension: '.jpg' },
+  gif: { mimeType: 'image/gif', extension: '.gif' },
+  webp: { mimeType: 'image/webp', extension: '.webp' },
+};
+
+// JPEG start-of-frame markers (SOF0-SOF15 without DHT, JPG and DAC).
+const JPEG_FRAME_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+// Returns { type, mimeType, extension, width, height } or null when the data
+// is not a PNG, JPEG, GIF or WebP image. `width`/`height` are null when the
+// header is cut short.
+function readImageInfo(buffer) {
+  const type = detectType(buffer);
+  if (!type) {
+    return null;
+  }
+  const size = readSize(type, buffer) || { width: null, height: null };
+  return { type, ...FORMATS[type], ...size };
+}
+
+// Checks an image against what users.setPhoto accepts. Returns { problem }
+// when it cannot be used, otherwise { crop } with a centered square crop (or
+// null when the image is already square).
+function fitProfilePhoto(info) {
+  if (!info) {
+    return { problem: 'the image format is not recognized' };
+  }
+  if (!PHOTO_TYPES.has(info.type)) {
+    return { problem: `Slack does not accept ${info.type.toUpperCase()} profile photos` };
+  }
+  if (!info.width || !info.height) {
+    return { problem: `the ${info.type.toUpperCase()} header is incomplete` };
+  }
+  const side = Math.min(info.width, info.height);
+  if (side < MIN_PHOTO_SIZE) {
+    return { problem: `${info.width}x${info.height} is smaller than ${MIN_PHOTO_SIZE}x${MIN_PHOTO_SIZE}` };
+  }
+  if (Math.max(info.width, info.height) > MAX_PHOTO_SIZE) {
+    return { problem: `${info.width}x${info.height} is larger than ${MAX_PHOTO_SIZE}x${MAX_PHOTO_SIZE}` };
+  }
+  if (info.width === info.height) {
+    return { crop: null };
+  }
+  return {
+    crop: {
+      x: Math.floor((info.width - side) / 2),
+      y: Math.floor((info.height - side) / 2),
+      w: side,
+    },
+  };
+}
+
+function detectType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) {
+    return 'gif';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+}
+
+function readSize(type, buffer) {
+  if (type === 'png') {
+    if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') {
+      return null;
+    }
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (type === 'gif') {
+    if (buffer.length < 10) {
+      return null;
+    }
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (type === 'webp') {
+    return readWebpSize(buffer);
+  }
+  return readJpegSize(buffer);
+}
+
+function readJpegSize(buffer) {
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      // Fill byte before a marker.
+      offset += 1;
+    } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      // Markers without a length.
+      offset += 2;
+    } else if (marker === 0xd9 || marker === 0xda) {
+      // End of image, or compressed data before any frame header.
+      return null;
+    } else {
+      const length = buffer.readUInt16BE(offset + 2);
+      if (JPEG_FRAME_MARKERS.has(marker)) {
+        if (offset + 9 > buffer.length) {
+          return null;
+        }
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+  }
+  return null;
+}
+
+function readWebpSize(buffer) {
+  const chunk = buffer.toString('latin1', 12, 16);
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+module.exports = {
+  fitProfilePhoto,
+  readImageInfo,
+};
@@ -1,81 +1,252 @@
 #!/usr/bin/env node
 
 const { execFile } = require('child_process');
+const crypto = require('crypto');
 const { promisify } = require('util');
+const http = require('http');
 const https = require('https');
 const fs = require('fs/promises');
 const os = require('os');
 const path = require('path');
 
+const { createArtworkCache } = require('./artwork-cache');
+const { loadConfig, mergeReloadedConfig } = require('./config');
+const { startControlServer } = require('./control');
+const { createFileCredentialStore } = require('./credentials');
+const { DEFAULT_DIGEST_TOP, buildDigestMessage, findDueDigest } = require('./digest');
+const { selectStatusEmoji } = require('./emoji');
+const { formatClock, parseFormat, renderStatusText } = require('./format');
+const {
+  HISTORY_RANGES,
+  appendHistory,
+  createListeningTracker,
+  formatListeningTime,
+  readHistory,
+  summarizeHistory,
+} = require('./history');
+const { fitProfilePhoto, readImageInfo } = require('./image');
+const { createLogger } = require('./logger');
+const { createMetricsRegistry } = require('./metrics');
+const { buildAuthorizeUrl, exchangeCode, startRedirectListener } = require('./oauth');
+const { createPlayerArbiter } = require('./players');
+const { nextPollDelay } = require('./polling');
+const { isTrackHidden } = require('./privacy');
+const { isWithinSchedule } = require('./schedule');
+const { createSlackClient, isFatalSlackError } = require('./slack');
+const { parseSpotifyUri } = require('./spotify');
+
 const execFileAsync = promisify(execFile);
 
-const POLL_INTERVAL_MS = readNumberFromEnv('POLL_INTERVAL_MS', 15000);
-const STATUS_EMOJI = process.env.SLACK_STATUS_EMOJI || ':musical_note:';
-const CLEAR_STATUS_ON_PAUSE = readBooleanFromEnv('CLEAR_STATUS_ON_PAUSE', true);
-const DRY_RUN = readBooleanFromEnv('DRY_RUN', false);
-const UPDATE_PROFILE_PHOTO = readBooleanFromEnv('UPDATE_PROFILE_PHOTO', false);
-const STATUS_MAX_LENGTH = readNumberFromEnv('STATUS_MAX_LENGTH', 100);
-const PLAYER = normalizePlayer(process.env.PLAYER || 'music');
-const STATUS_FORMAT = process.env.STATUS_FORMAT;
-const SLACK_TOKEN = process.env.SLACK_TOKEN;
-const DEFAULT_CACHE_PATH = path.join(os.homedir(), '.slack-currenttrack-status.json');
-const STATUS_CACHE_FILE = process.env.STATUS_CACHE_FILE === ''
-  ? null
-  : (process.env.STATUS_CACHE_FILE || DEFAULT_CACHE_PATH);
-const DEFAULT_PROFILE_PHOTO_PATH = path.join(os.homedir(), '.slack-currenttrack-profile-photo');
-const PROFILE_PHOTO_CACHE_FILE = process.env.PROFILE_PHOTO_CACHE_FILE === ''
-  ? null
-  : (process.env.PROFILE_PHOTO_CACHE_FILE || DEFAULT_PROFILE_PHOTO_PATH);
+const loaded = loadConfig();
+if (loaded.errors.length > 0) {
+  console.error('Invalid configuration:');
+  loaded.errors.forEach((message) => console.error(`  - ${message}`));
+  process.exit(1);
+}
+
+// Reloadable settings are read from `config` on every poll; the constants below
+// are fixed for the lifetime of the process.
+let config = loaded.config;
+const CONFIG_FILE = loaded.file;
+const DRY_RUN = config.dryRun;
+const credentialStore = config.credentialsFile ? createFileCredentialStore(config.credentialsFile) : null;
+// SLACK_TOKEN wins over the token saved by `login`.
+const SLACK_TOKEN = config.slackToken || readSavedToken();
+const SLACK_API_URL = config.slackApiUrl;
+const STATUS_CACHE_FILE = config.statusCacheFile;
+const PROFILE_PHOTO_CACHE_FILE = config.profilePhotoCacheFile;
+// Exists while album art replaces the default photo, so a run that dies before
+// restoring it is noticed by the next one.
+const ALBUM_ART_MARKER_FILE = PROFILE_PHOTO_CACHE_FILE ? `${PROFILE_PHOTO_CACHE_FILE}.album-art` : null;
+const HISTORY_FILE = config.historyFile;
+const DIGEST_STATE_FILE = config.digestStateFile;
+const artworkCache = config.artworkCacheDir
+  ? createArtworkCache({ dir: config.artworkCacheDir, maxBytes: config.artworkCacheSizeMb * 1024 * 1024 })
+  : null;
 
 let profilePhotoUpdated = false;
 let profilePhotoCacheUnavailable = false;
+// Set when the workspace does not let users change their profile photo.
+let profilePhotoUpdatesRefused = false;
 let shuttingDown = false;
-let lastPayloadRef = null;
+let ownsStatus = false;
+let savedStatus = null;
+let wakeLoop = null;
+let pollRequested = false;
+const listeningTracker = createListeningTracker();
+const playerArbiter = createPlayerArbiter();
+// Last digest slot posted ({ lastSlot }), read from DIGEST_STATE_FILE on first use.
+let digestState = null;
+// After a post Slack certainly did not receive, no new attempt before this time.
+let digestRetryAt = 0;
+
+// State carried between polls of the watcher loop. `pausedReason` is set while
+// the schedule, Do Not Disturb or presence keeps the watcher from sharing;
+// `pausedAt` is when the player was first seen paused. `lastAlbumKey` names the
+// album whose artwork is (or was last tried as) the profile photo.
+// `lastPlayback` is the last player reading and `sharingPausedUntil` is set by
+// the control API (Infinity until resumed).
+const watcherState = {
+  lastPayload: null,
+  lastAlbumKey: null,
+  lastPlayback: null,
+  pausedReason: null,
+  pausedAt: null,
+  sharingPausedUntil: null,
+};
 
-if (process.platform !== 'darwin') {
-  console.error('slack-currenttrack only works on macOS because it talks to Apple Music or Spotify via AppleScript.');
-  process.exit(1);
-}
+// How far (in seconds) a recomputed status expiration may drift before the
+// status is sent again.
+const EXPIRATION_TOLERANCE_SECONDS = 15;
 
-if (!SLACK_TOKEN && !DRY_RUN) {
-  console.error('Missing SLACK_TOKEN. Create a Slack app with users.profile:write and export the user token.');
-  process.exit(1);
-}
+// How long to wait before posting a digest again that Slack did not receive.
+const DIGEST_RETRY_DELAY_MS = 5 * 60 * 1000;
 
-if (DRY_RUN && !SLACK_TOKEN) {
-  console.warn('Running with DRY_RUN enabled and no SLACK_TOKEN. Slack will not be updated.');
-}
+const AVAILABILITY_CHECK_INTERVAL_MS = 60000;
+const AVAILABILITY_SCOPES = {
+  'dnd.info': 'dnd:read',
+  'users.getPresence': 'users:read',
+};
+const availabilityCache = { checkedAt: 0, reason: null };
+const disabledAvailabilityChecks = new Set();
+
+// Scopes each feature needs, checked against what auth.test reports at startup.
+// Status updates read the current status first so a manually set one is never
+// overwritten; users.setPhoto needs the same scope, so photo updates are only
+// ever missing when status updates are too.
+const TOKEN_FEATURES = [
+  {
+    label: 'status updates',
+    scopes: ['users.profile:write', 'users.profile:read'],
+    enabled: () => true,
+  },
+  {
+    label: 'photo caching',
+    scopes: ['users.profile:read'],
+    enabled: () => config.updateProfilePhoto && Boolean(PROFILE_PHOTO_CACHE_FILE),
+    disable: () => {
+      profilePhotoCacheUnavailable = true;
+    },
+  },
+  {
+    label: 'photo updates',
+    scopes: ['users.profile:write'],
+    enabled: () => config.updateProfilePhoto,
+  },
+  {
+    label: 'DND checks',
+    scopes: [AVAILABILITY_SCOPES['dnd.info']],
+    enabled: () => config.respectDnd,
+    disable: () => disabledAvailabilityChecks.add('dnd.info'),
+  },
+  {
+    label: 'presence checks',
+    scopes: [AVAILABILITY_SCOPES['users.getPresence']],
+    enabled: () => config.respectPresence,
+    disable: () => disabledAvailabilityChecks.add('users.getPresence'),
+  },
+];
+
+const logger = createLogger({
+  level: config.logLevel,
+  format: config.logFormat,
+  secrets: [SLACK_TOKEN, config.controlToken, config.slackClientSecret],
+});
+const slackClient = createSlackClient({ token: SLACK_TOKEN, baseUrl: SLACK_API_URL, logger });
+
+// Served as GET /metrics by the control API.
+const metricsRegistry = createMetricsRegistry();
+const metrics = {
+  polls: metricsRegistry.counter('slack_currenttrack_polls_total', 'Player polls by result.', ['result']),
+  statusUpdates: metricsRegistry.counter('slack_currenttrack_status_updates_total', 'Slack statuses set or cleared.'),
+  photoUpdates: metricsRegistry.counter('slack_currenttrack_photo_updates_total', 'Slack profile photos uploaded.'),
+  slackErrors: metricsRegistry.counter(
+    'slack_currenttrack_slack_errors_total',
+    'Failed Slack API calls by method and error code.',
+    ['method', 'code'],
+  ),
+  playerCommandDuration: metricsRegistry.histogram(
+    'slack_currenttrack_player_command_duration_seconds',
+    'Time spent running osascript or playerctl to read a player.',
+  ),
+  slackRequestDuration: metricsRegistry.histogram(
+    'slack_currenttrack_slack_request_duration_seconds',
+    'Time spent on Slack API calls, retries included.',
+  ),
+  playerState: metricsRegistry.gauge('slack_currenttrack_player_state', 'Current player state (1 for the active one).', ['state']),
+  lastSuccess: metricsRegistry.gauge(
+    'slack_currenttrack_last_success_timestamp_seconds',
+    'Unix time of the last successful status or profile photo update.',
+  ),
+};
 
 const SCRIPT_DELIMITER = '||slack-currenttrack||';
+const MPRIS_STATES = {
+  Playing: 'playing',
+  Paused: 'paused',
+  Stopped: 'stopped',
+};
 const PLAYER_STATES = {
   PLAYING: 'playing',
   PAUSED: 'paused',
   STOPPED: 'stopped',
 };
+const SAMPLE_PLAYBACK = {
+  state: PLAYER_STATES.PLAYING,
+  track: {
+    source: 'spotify',
+    mediaType: 'track',
+    artist: 'Daft Punk',
+    title: 'Digital Love',
+    album: 'Discovery',
+    durationMs: 301000,
+    positionMs: 96000,
+  },
+};
+const SAMPLE_EPISODE = {
+  state: PLAYER_STATES.PLAYING,
+  track: {
+    source: 'spotify',
+    mediaType: 'episode',
+    artist: 'Studio Notes',
+    title: 'How Discovery Was Made',
+    album: 'Studio Notes',
+    durationMs: 5400000,
+    positionMs: 1200000,
+  },
+};
 
-async function readCurrentTrack() {
-  if (PLAYER === 'music') {
-    return readAppleMusicTrack();
-  }
-  if (PLAYER === 'spotify') {
-    return readSpotifyTrack();
-  }
+const LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
 
-  const spotifyTrack = await readSpotifyTrack();
-  if (spotifyTrack.state === PLAYER_STATES.PLAYING) {
-    return spotifyTrack;
-  }
-  const appleTrack = await readAppleMusicTrack();
-  if (appleTrack.state === PLAYER_STATES.PLAYING) {
-    return appleTrack;
+function readSavedToken() {
+  if (!credentialStore) {
+    return null;
   }
-  if (spotifyTrack.state === PLAYER_STATES.PAUSED) {
-    return spotifyTrack;
+  try {
+    const credentials = credentialStore.read();
+    return credentials ? credentials.token : null;
+  } catch (error) {
+    console.error(`Ignoring the saved Slack token: ${error.message}`);
+    return null;
   }
-  if (appleTrack.state === PLAYER_STATES.PAUSED) {
-    return appleTrack;
+}
+
+// How to read each PLAYER entry. A new backend only needs a reader here that
+// resolves with { state, track } and an alias in config.js.
+const PLAYER_READERS = {
+  music: readAppleMusicTrack,
+  spotify: readSpotifyTrack,
+  mpris: readMprisTrack,
+};
+
+async function readCurrentTrack() {
+  if (config.player.length === 1) {
+    return PLAYER_READERS[config.player[0]]();
   }
-  return { state: PLAYER_STATES.STOPPED, track: null };
+  return playerArbiter.choose(config.player, {
+    policy: config.playerPolicy,
+    read: (name) => PLAYER_READERS[name](),
+  });
 }
 
 async function readAppleMusicTrack() {
@@ -124,7 +295,8 @@ end cleanupValue
 `;
 
   try {
-    const { stdout } = await execFileAsync('osascript', ['-e', appleScript]);
+    const { stdout } = await runPlayerCommand('music', 'osascript', ['-e', appleScript]);
+    logger.debug('Apple Music output', { event: 'player.output', player: 'music', output: stdout });
     const normalized = stdout.trim();
     if (!normalized || normalized === PLAYER_STATES.STOPPED) {
       return { state: PLAYER_STATES.STOPPED, track: null };
@@ -138,6 +310,7 @@ end cleanupValue
       state,
       track: {
         source: 'music',
+        mediaType: 'track',
         artist: artist || 'Unknown Artist',
         title: title || 'Unknown Track',
         album: album || '',
@@ -146,7 +319,7 @@ end cleanupValue
       },
     };
   } catch (error) {
-    console.error('Failed to read Apple Music track:', error.message);
+    logger.error('Failed to read Apple Music track', { event: 'player.error', player: 'music', error: error.message });
     return { state: PLAYER_STATES.STOPPED, track: null };
   }
 }
@@ -166,10 +339,12 @@ try
         set trackAlbum to album of current track
         set trackDuration to duration of current track
         set trackPosition to player position
+        set trackId to id of current track
+        set trackUrl to spotify url of current track
         set trackName to my cleanupValue(trackName)
         set trackArtist to my cleanupValue(trackArtist)
         set trackAlbum to my cleanupValue(trackAlbum)
-        return "${PLAYER_STATES.PAUSED}${SCRIPT_DELIMITER}" & trackArtist & "${SCRIPT_DELIMITER}" & trackName & "${SCRIPT_DELIMITER}" & trackAlbum & "${SCRIPT_DELIMITER}" & trackDuration & "${SCRIPT_DELIMITER}" & trackPosition
+        return "${PLAYER_STATES.PAUSED}${SCRIPT_DELIMITER}" & trackArtist & "${SCRIPT_DELIMITER}" & trackName & "${SCRIPT_DELIMITER}" & trackAlbum & "${SCRIPT_DELIMITER}" & trackDuration & "${SCRIPT_DELIMITER}" & trackPosition & "${SCRIPT_DELIMITER}" & trackId & "${SCRIPT_DELIMITER}" & trackUrl
       end if
       return "${PLAYER_STATES.STOPPED}"
     end if
@@ -178,10 +353,12 @@ try
     set trackAlbum to album of current track
     set trackDuration to duration of current track
     set trackPosition to player position
+    set trackId to id of current track
+    set trackUrl to spotify url of current track
     set trackName to my cleanupValue(trackName)
     set trackArtist to my cleanupValue(trackArtist)
     set trackAlbum to my cleanupValue(trackAlbum)
-    return "${PLAYER_STATES.PLAYING}${SCRIPT_DELIMITER}" & trackArtist & "${SCRIPT_DELIMITER}" & trackName & "${SCRIPT_DELIMITER}" & trackAlbum & "${SCRIPT_DELIMITER}" & trackDuration & "${SCRIPT_DELIMITER}" & trackPosition
+    return "${PLAYER_STATES.PLAYING}${SCRIPT_DELIMITER}" & trackArtist & "${SCRIPT_DELIMITER}" & trackName & "${SCRIPT_DELIMITER}" & trackAlbum & "${SCRIPT_DELIMITER}" & trackDuration & "${SCRIPT_DELIMITER}" & trackPosition & "${SCRIPT_DELIMITER}" & trackId & "${SCRIPT_DELIMITER}" & trackUrl
   end tell
 on error
   return "${PLAYER_STATES.STOPPED}"
@@ -197,218 +374,177 @@ end cleanupValue
 `;
 
   try {
-    const { stdout } = await execFileAsync('osascript', ['-e', appleScript]);
+    const { stdout } = await runPlayerCommand('spotify', 'osascript', ['-e', appleScript]);
+    logger.debug('Spotify output', { event: 'player.output', player: 'spotify', output: stdout });
     const normalized = stdout.trim();
     if (!normalized || normalized === PLAYER_STATES.STOPPED) {
       return { state: PLAYER_STATES.STOPPED, track: null };
     }
 
-    const [state, artist, title, album, duration, position] = normalized.split(SCRIPT_DELIMITER);
+    const [state, artist, title, album, duration, position, id, spotifyUrl] = normalized.split(SCRIPT_DELIMITER);
     if (state !== PLAYER_STATES.PLAYING && state !== PLAYER_STATES.PAUSED) {
       return { state: PLAYER_STATES.STOPPED, track: null };
     }
-    if (isSpotifyAdvertisement(artist, title, album)) {
+    // Older Spotify versions return the URI as `spotify url` only.
+    const { mediaType, url } = parseSpotifyUri(id || spotifyUrl);
+    if (mediaType === 'ad') {
       return { state: PLAYER_STATES.STOPPED, track: null };
     }
     return {
       state,
       track: {
         source: 'spotify',
-        artist: artist || 'Unknown Artist',
+        mediaType,
+        artist: artist || (mediaType === 'episode' ? '' : 'Unknown Artist'),
         title: title || 'Unknown Track',
         album: album || '',
         durationMs: toMilliseconds(duration, 1),
         positionMs: toMilliseconds(position, 1000),
+        id: id || spotifyUrl || null,
+        url,
       },
     };
   } catch (error) {
-    console.error('Failed to read Spotify track:', error.message);
+    logger.error('Failed to read Spotify track', { event: 'player.error', player: 'spotify', error: error.message });
     return { state: PLAYER_STATES.STOPPED, track: null };
   }
 }
 
+async function readMprisTrack() {
+  const fields = [
+    '{{playerName}}',
+    '{{status}}',
+    '{{artist}}',
+    '{{title}}',
+    '{{album}}',
+    '{{mpris:length}}',
+    '{{position}}',
+  ];
+
+  let stdout;
+  try {
+    ({ stdout } = await runPlayerCommand('mpris', 'playerctl', [
+      '--all-players',
+      'metadata',
+      '--format',
+      fields.join(SCRIPT_DELIMITER),
+    ]));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.error('Failed to read MPRIS players: playerctl is not installed.', { event: 'player.error', player: 'mpris' });
+      return { state: PLAYER_STATES.STOPPED, track: null };
+    }
+    // playerctl exits non-zero when no org.mpris.MediaPlayer2.* name is on the bus,
+    // or when one of several players has no metadata; keep whatever it printed.
+    stdout = error.stdout || '';
+  }
+  logger.debug('playerctl output', { event: 'player.output', player: 'mpris', output: stdout });
+
+  const players = stdout
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [player, status, artist, title, album, duration, position] = line.split(SCRIPT_DELIMITER);
+      return {
+        state: MPRIS_STATES[status] || PLAYER_STATES.STOPPED,
+        track: {
+          source: 'mpris',
+          mediaType: 'track',
+          player,
+          artist: artist || 'Unknown Artist',
+          title: title || 'Unknown Track',
+          album: album || '',
+          durationMs: toMilliseconds(duration, 0.001),
+          positionMs: toMilliseconds(position, 0.001),
+        },
+      };
+    })
+    .filter((playback) => playback.track.player);
+
+  const playing = players.find((playback) => playback.state === PLAYER_STATES.PLAYING);
+  if (playing) {
+    return playing;
+  }
+  const paused = players.find((playback) => playback.state === PLAYER_STATES.PAUSED);
+  if (paused) {
+    return paused;
+  }
+  return { state: PLAYER_STATES.STOPPED, track: null };
+}
+
+async function runPlayerCommand(player, command, args) {
+  const startedAt = Date.now();
+  try {
+    return await execFileAsync(command, args);
+  } finally {
+    metrics.playerCommandDuration.observe({ player, command }, (Date.now() - startedAt) / 1000);
+  }
+}
+
 function formatStatusText(track, formatTemplate) {
   const cleanTrack = track
     ? {
       artist: sanitizeText(track.artist),
       title: sanitizeText(track.title),
       album: sanitizeText(track.album),
+      source: track.source,
+      mediaType: track.mediaType,
+      player: track.player,
       positionMs: track.positionMs,
       durationMs: track.durationMs,
     }
     : null;
-  const formatted = applyFormat(formatTemplate, cleanTrack);
-  return clampStatusText(formatted.trim());
+  return renderStatusText(formatTemplate, cleanTrack, {
+    maxLength: config.statusMaxLength,
+    ellipsis: config.statusEllipsis || '',
+  });
 }
 
-async function updateSlackStatus(statusText, statusEmoji) {
+async function updateSlackStatus(statusText, statusEmoji, statusExpiration = 0) {
   const payload = {
     profile: {
       status_text: statusText,
       status_emoji: statusEmoji,
-      status_expiration: 0,
+      status_expiration: statusExpiration,
     },
   };
 
-  const response = await callSlackApi('users.profile.set', payload);
-  if (!response.ok) {
-    const errorMessage = response.error || 'unknown_error';
-    throw new Error(`Slack API rejected the request: ${errorMessage}`);
-  }
-}
-
-function callSlackApi(path, payload) {
-  const body = JSON.stringify(payload);
-  return new Promise((resolve, reject) => {
-    const req = https.request(
-      {
-        hostname: 'slack.com',
-        path: `/api/${path}`,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json; charset=utf-8',
-          'Content-Length': Buffer.byteLength(body),
-          Authorization: `Bearer ${SLACK_TOKEN}`,
-        },
-      },
-      (res) => {
-        const chunks = [];
-        res.on('data', (chunk) => chunks.push(chunk));
-        res.on('end', () => {
-          const text = Buffer.concat(chunks).toString('utf8');
-          try {
-            const parsed = JSON.parse(text);
-            resolve(parsed);
-          } catch (parseError) {
-            reject(new Error(`Failed to parse Slack response: ${parseError.message}. Body: ${text}`));
-          }
-        });
-      },
-    );
-
-    req.on('error', (err) => reject(err));
-    req.write(body);
-    req.end();
-  });
-}
-
-function callSlackApiGet(path) {
-  return new Promise((resolve, reject) => {
-    const req = https.request(
-      {
-        hostname: 'slack.com',
-        path: `/api/${path}`,
-        method: 'GET',
-        headers: {
-          Authorization: `Bearer ${SLACK_TOKEN}`,
-        },
-      },
-      (res) => {
-        const chunks = [];
-        res.on('data', (chunk) => chunks.push(chunk));
-        res.on('end', () => {
-          const text = Buffer.concat(chunks).toString('utf8');
-          try {
-            const parsed = JSON.parse(text);
-            resolve(parsed);
-          } catch (parseError) {
-            reject(new Error(`Failed to parse Slack response: ${parseError.message}. Body: ${text}`));
-          }
-        });
-      },
-    );
-
-    req.on('error', (err) => reject(err));
-    req.end();
-  });
+  await callSlackApi('users.profile.set', { json: payload });
+  metrics.statusUpdates.inc();
+  metrics.lastSuccess.set({}, Date.now() / 1000);
 }
 
-function callSlackApiMultipart(path, body, boundary) {
-  return new Promise((resolve, reject) => {
-    const req = https.request(
-      {
-        hostname: 'slack.com',
-        path: `/api/${path}`,
-        method: 'POST',
-        headers: {
-          'Content-Type': `multipart/form-data; boundary=${boundary}`,
-          'Content-Length': body.length,
-          Authorization: `Bearer ${SLACK_TOKEN}`,
-        },
-      },
-      (res) => {
-        const chunks = [];
-        res.on('data', (chunk) => chunks.push(chunk));
-        res.on('end', () => {
-          const text = Buffer.concat(chunks).toString('utf8');
-          try {
-            const parsed = JSON.parse(text);
-            resolve(parsed);
-          } catch (parseError) {
-            reject(new Error(`Failed to parse Slack response: ${parseError.message}. Body: ${text}`));
-          }
-        });
-      },
-    );
-
-    req.on('error', (err) => reject(err));
-    req.write(body);
-    req.end();
-  });
+async function callSlackApi(method, options) {
+  const startedAt = Date.now();
+  try {
+    return await slackClient.call(method, options);
+  } catch (error) {
+    metrics.slackErrors.inc({ method, code: error.code || 'unknown' });
+    throw error;
+  } finally {
+    metrics.slackRequestDuration.observe({ method }, (Date.now() - startedAt) / 1000);
+  }
 }
 
 function sanitizeText(value) {
-  return value.replace(/\\s+/g, ' ').trim();
+  return value.replace(/\s+/g, ' ').trim();
 }
 
-function buildDefaultFormat() {
-  const base = '%ar% — %so%';
-  if (STATUS_EMOJI.includes('%pb%')) {
-    return `%pb% ${base}`.trim();
+// Episodes (podcasts, audiobooks) use PODCAST_FORMAT; everything else, and
+// nothing playing, uses STATUS_FORMAT.
+function statusFormatFor(track) {
+  if (track && track.mediaType === 'episode') {
+    return config.podcastFormat || buildDefaultFormat('%sh% — %ep%');
   }
-  return base;
-}
-
-function parseFormat(format) {
-  let playing = format;
-  let paused = null;
-  let quiet = null;
-  playing = playing.replace(/\{p\}([\s\S]*?)\{\/p\}/gi, (match, inner) => {
-    if (paused === null) {
-      paused = inner;
-    }
-    return '';
-  });
-  playing = playing.replace(/\{q\}([\s\S]*?)\{\/q\}/gi, (match, inner) => {
-    if (quiet === null) {
-      quiet = inner;
-    }
-    return '';
-  });
-  return {
-    playing: playing.trim(),
-    paused: paused !== null ? paused : null,
-    quiet: quiet !== null ? quiet : null,
-  };
+  return config.statusFormat || buildDefaultFormat();
 }
 
-function applyFormat(template, track) {
-  if (!template) {
-    return '';
+function buildDefaultFormat(base = '%ar% — %so%') {
+  if (config.statusEmoji.includes('%pb%')) {
+    return `%pb% ${base}`.trim();
   }
-  const values = {
-    '%ar%': track ? track.artist : '',
-    '%al%': track ? track.album : '',
-    '%so%': track ? track.title : '',
-    '%pb%': track ? buildProgressBar(track.positionMs, track.durationMs) : '',
-    '%bn%': '\u266B',
-    '%en%': '\u266A',
-  };
-  let output = template;
-  Object.entries(values).forEach(([token, value]) => {
-    output = output.split(token).join(value);
-  });
-  return output;
+  return base;
 }
 
 function toMilliseconds(value, multiplier) {
@@ -419,75 +555,41 @@ function toMilliseconds(value, multiplier) {
   return Math.max(0, Math.round(parsed * multiplier));
 }
 
-function buildProgressBar(positionMs, durationMs) {
-  if (!Number.isFinite(positionMs) || !Number.isFinite(durationMs) || durationMs <= 0) {
-    return '';
-  }
-  const slots = 9;
-  const ratio = Math.min(Math.max(positionMs / durationMs, 0), 1);
-  const index = Math.floor(ratio * (slots - 1));
-  const chars = Array.from({ length: slots }, () => '-');
-  chars[index] = '|';
-  return chars.join('');
-}
-
-function isSpotifyAdvertisement(artist, title, album) {
-  const fields = [artist, title, album]
-    .filter((value) => typeof value === 'string')
-    .map((value) => value.trim().toLowerCase());
-  if (fields.length === 0) {
-    return false;
-  }
-  return fields.some((value) => value.includes('advertisement'))
-    || fields.some((value) => value === 'spotify');
-}
-
-function normalizePlayer(value) {
-  const normalized = value.toLowerCase();
-  if (['music', 'apple-music', 'applemusic', 'apple_music'].includes(normalized)) {
-    return 'music';
-  }
-  if (normalized === 'spotify') {
-    return 'spotify';
-  }
-  if (normalized === 'auto') {
-    return 'auto';
-  }
-  console.warn(`Unknown PLAYER value "${value}". Falling back to "music".`);
-  return 'music';
-}
-
-function clampStatusText(value) {
-  if (!value) {
-    return value;
-  }
-  if (value.length <= STATUS_MAX_LENGTH) {
-    return value;
-  }
-  if (STATUS_MAX_LENGTH <= 3) {
-    return value.slice(0, STATUS_MAX_LENGTH);
-  }
-  return `${value.slice(0, STATUS_MAX_LENGTH - 3)}...`;
-}
-
-function readBooleanFromEnv(key, defaultValue) {
-  const value = process.env[key];
-  if (value === undefined) {
-    return defaultValue;
+function describePlatformProblem(players) {
+  const macOnly = players.find((player) => player === 'music' || player === 'spotify');
+  if (macOnly && process.platform !== 'darwin') {
+    return `PLAYER=${macOnly} only works on macOS because it talks to Apple Music or Spotify via AppleScript.`;
   }
-  return ['1', 'true', 'yes', 'on'].includes(value.toLowerCase());
+  return null;
 }
 
-function readNumberFromEnv(key, defaultValue) {
-  const value = Number.parseInt(process.env[key], 10);
-  if (Number.isNaN(value)) {
-    return defaultValue;
+// Ends the current sleep of the watcher loop, or the next one when a poll is
+// running right now.
+function requestPoll() {
+  if (wakeLoop) {
+    wakeLoop();
+  } else {
+    pollRequested = true;
   }
-  return value;
 }
 
 function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+  return new Promise((resolve) => {
+    if (pollRequested) {
+      pollRequested = false;
+      resolve();
+      return;
+    }
+    const timer = setTimeout(() => {
+      wakeLoop = null;
+      resolve();
+    }, ms);
+    wakeLoop = () => {
+      clearTimeout(timer);
+      wakeLoop = null;
+      resolve();
+    };
+  });
 }
 
 function payloadsEqual(a, b) {
@@ -497,7 +599,18 @@ function payloadsEqual(a, b) {
   if (!a || !b) {
     return false;
   }
-  return a.status_text === b.status_text && a.status_emoji === b.status_emoji;
+  return a.status_text === b.status_text
+    && a.status_emoji === b.status_emoji
+    && expirationsMatch(a.status_expiration, b.status_expiration);
+}
+
+// A playing track's expiration is recomputed on every poll and jitters by a
+// second or so; only a seek, a repeat or switching expirations on or off counts.
+function expirationsMatch(a = 0, b = 0) {
+  if (!a || !b) {
+    return !a && !b;
+  }
+  return Math.abs(a - b) <= EXPIRATION_TOLERANCE_SECONDS;
 }
 
 async function fileExists(targetPath) {
@@ -510,30 +623,104 @@ async function fileExists(targetPath) {
 }
 
 function detectImageType(buffer) {
-  if (buffer.length >= 8) {
-    const isPng = buffer[0] === 0x89
-      && buffer[1] === 0x50
-      && buffer[2] === 0x4e
-      && buffer[3] === 0x47;
-    if (isPng) {
-      return { mimeType: 'image/png', extension: '.png' };
+  const info = readImageInfo(buffer);
+  if (!info) {
+    return { mimeType: 'application/octet-stream', extension: '' };
+  }
+  return { mimeType: info.mimeType, extension: info.extension };
+}
+
+async function fetchSlackProfile() {
+  const response = await callSlackApi('users.profile.get');
+  return response.profile || {};
+}
+
+async function fetchSlackStatus() {
+  const profile = await fetchSlackProfile();
+  return {
+    status_text: profile.status_text || '',
+    status_emoji: profile.status_emoji || '',
+    status_expiration: profile.status_expiration || 0,
+  };
+}
+
+function isClearPayload(payload) {
+  return !payload.status_text && !payload.status_emoji;
+}
+
+function isStatusExpired(status) {
+  return status.status_expiration > 0 && status.status_expiration * 1000 <= Date.now();
+}
+
+// `fields` (such as the track key) are added to the log records.
+async function applyStatusPayload(payload, previousPayload, fields = {}) {
+  if (DRY_RUN) {
+    logger.info(`Would update Slack status to: ${payload.status_text || '(cleared)'}`, {
+      event: 'status.updated',
+      dryRun: true,
+      ...fields,
+    });
+    ownsStatus = !isClearPayload(payload);
+    return true;
+  }
+
+  const current = await fetchSlackStatus();
+  const stillOurs = ownsStatus && previousPayload !== null && payloadsEqual(current, previousPayload);
+
+  if (isClearPayload(payload)) {
+    if (!stillOurs) {
+      // Never blank a status we did not set (or one the user replaced while music played).
+      ownsStatus = false;
+      savedStatus = null;
+      return false;
     }
+    await restoreSavedStatus(fields);
+    return true;
   }
 
-  if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xd8) {
-    return { mimeType: 'image/jpeg', extension: '.jpg' };
+  if (!stillOurs) {
+    savedStatus = null;
+    if (!isClearPayload(current) && !isStatusExpired(current)) {
+      if (config.preserveManualStatus) {
+        logger.info(`Leaving manually set Slack status in place: ${current.status_text || current.status_emoji}`, {
+          event: 'status.manual',
+          ...fields,
+        });
+        ownsStatus = false;
+        return false;
+      }
+      savedStatus = current;
+    }
   }
 
-  return { mimeType: 'application/octet-stream', extension: '' };
+  await updateSlackStatus(payload.status_text, payload.status_emoji, payload.status_expiration || 0);
+  logger.info(`Updated Slack status to: ${payload.status_text || '(cleared)'}`, {
+    event: 'status.updated',
+    expiration: payload.status_expiration || 0,
+    ...fields,
+  });
+  ownsStatus = true;
+  return true;
+}
+
+async function restoreSavedStatus(fields = {}) {
+  const previous = savedStatus;
+  ownsStatus = false;
+  savedStatus = null;
+  if (previous && !isStatusExpired(previous)) {
+    await updateSlackStatus(previous.status_text, previous.status_emoji, previous.status_expiration);
+    logger.info(`Restored previous Slack status: ${previous.status_text || previous.status_emoji}`, {
+      event: 'status.restored',
+      ...fields,
+    });
+    return;
+  }
+  await updateSlackStatus('', '');
+  logger.info('Updated Slack status to: (cleared)', { event: 'status.cleared', ...fields });
 }
 
 async function fetchProfilePhotoUrl() {
-  const response = await callSlackApiGet('users.profile.get');
-  if (!response.ok) {
-    const errorMessage = response.error || 'unknown_error';
-    throw new Error(`Slack API rejected the profile fetch: ${errorMessage}`);
-  }
-  const profile = response.profile || {};
+  const profile = await fetchSlackProfile();
   return profile.image_original
     || profile.image_512
     || profile.image_192
@@ -542,7 +729,8 @@ async function fetchProfilePhotoUrl() {
 
 async function downloadImage(url) {
   return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
+    const transport = url.startsWith('http:') ? http : https;
+    transport.get(url, (res) => {
       if (res.statusCode && res.statusCode >= 400) {
         reject(new Error(`Failed to download image: HTTP ${res.statusCode}`));
         res.resume();
@@ -575,10 +763,42 @@ async function cacheDefaultProfilePhoto() {
   return PROFILE_PHOTO_CACHE_FILE;
 }
 
+// Returns a file with the album's artwork, from the artwork cache when the
+// album was seen before. Without a cache the file is a temporary export that
+// the caller removes.
+async function findAlbumArt(track, albumKey) {
+  if (!artworkCache) {
+    return exportAlbumArt(track);
+  }
+  try {
+    const cached = await artworkCache.get(albumKey);
+    if (cached) {
+      return cached;
+    }
+  } catch (error) {
+    logger.error('Failed to read the artwork cache', { event: 'artwork.error', albumKey, error: error.message });
+  }
+  const exported = await exportAlbumArt(track);
+  if (!exported) {
+    return null;
+  }
+  try {
+    return await artworkCache.put(albumKey, await fs.readFile(exported));
+  } catch (error) {
+    logger.error('Failed to cache album artwork', { event: 'artwork.error', albumKey, error: error.message });
+    return null;
+  } finally {
+    await deleteFileIfExists(exported);
+  }
+}
+
 async function exportAlbumArt(track) {
   if (track && track.source === 'spotify') {
     return exportSpotifyAlbumArt();
   }
+  if (track && track.source === 'mpris') {
+    return exportMprisAlbumArt(track);
+  }
   return exportAppleMusicAlbumArt();
 }
 
@@ -620,7 +840,7 @@ end try
     const normalized = stdout.trim();
     return normalized ? normalized : null;
   } catch (error) {
-    console.error('Failed to export Apple Music artwork:', error.message);
+    logger.error('Failed to export Apple Music artwork', { event: 'artwork.error', player: 'music', error: error.message });
     return null;
   }
 }
@@ -659,12 +879,49 @@ end try
     await fs.writeFile(targetPath, imageData);
     return targetPath;
   } catch (error) {
-    console.error('Failed to export Spotify artwork:', error.message);
+    logger.error('Failed to export Spotify artwork', { event: 'artwork.error', player: 'spotify', error: error.message });
+    return null;
+  }
+}
+
+async function exportMprisAlbumArt(track) {
+  try {
+    const { stdout } = await execFileAsync('playerctl', [
+      `--player=${track.player}`,
+      'metadata',
+      'mpris:artUrl',
+    ]);
+    const normalized = stdout.trim();
+    if (!normalized) {
+      return null;
+    }
+    const imageData = normalized.startsWith('file://')
+      ? await fs.readFile(decodeURIComponent(new URL(normalized).pathname))
+      : await downloadImage(normalized);
+    const { extension } = detectImageType(imageData);
+    const filename = `slack-currenttrack-artwork-${Date.now()}${extension}`;
+    const targetPath = path.join(os.tmpdir(), filename);
+    await fs.writeFile(targetPath, imageData);
+    return targetPath;
+  } catch (error) {
+    logger.error('Failed to export MPRIS artwork', { event: 'artwork.error', player: 'mpris', error: error.message });
+    return null;
+  }
+}
+
+// Returns { crop } when the artwork can be used as a profile photo, or null
+// (after logging why) when the default photo should stay.
+async function checkAlbumArt(artPath) {
+  const imageData = await fs.readFile(artPath);
+  const fitted = fitProfilePhoto(readImageInfo(imageData));
+  if (fitted.problem) {
+    logger.info(`Skipping album artwork as profile photo: ${fitted.problem}.`, { event: 'artwork.rejected' });
     return null;
   }
+  return fitted;
 }
 
-async function updateSlackProfilePhoto(imagePath) {
+async function updateSlackProfilePhoto(imagePath, crop = null) {
   const imageData = await fs.readFile(imagePath);
   const { mimeType, extension } = detectImageType(imageData);
   const boundary = `----slack-currenttrack-${Date.now()}`;
@@ -676,18 +933,24 @@ async function updateSlackProfilePhoto(imagePath) {
     '',
     '',
   ].join('\r\n');
-  const footer = `\r\n--${boundary}--\r\n`;
+  const fields = crop
+    ? Object.entries({ crop_x: crop.x, crop_y: crop.y, crop_w: crop.w }).map(([name, value]) => [
+      `\r\n--${boundary}`,
+      `Content-Disposition: form-data; name="${name}"`,
+      '',
+      String(value),
+    ].join('\r\n'))
+    : [];
+  const footer = `${fields.join('')}\r\n--${boundary}--\r\n`;
   const body = Buffer.concat([
     Buffer.from(header, 'utf8'),
     imageData,
     Buffer.from(footer, 'utf8'),
   ]);
 
-  const response = await callSlackApiMultipart('users.setPhoto', body, boundary);
-  if (!response.ok) {
-    const errorMessage = response.error || 'unknown_error';
-    throw new Error(`Slack API rejected the photo update: ${errorMessage}`);
-  }
+  await callSlackApi('users.setPhoto', { multipart: { body, boundary } });
+  metrics.photoUpdates.inc();
+  metrics.lastSuccess.set({}, Date.now() / 1000);
 }
 
 async function restoreDefaultProfilePhoto() {
@@ -698,9 +961,23 @@ async function restoreDefaultProfilePhoto() {
     return false;
   }
   await updateSlackProfilePhoto(PROFILE_PHOTO_CACHE_FILE);
+  if (ALBUM_ART_MARKER_FILE) {
+    await deleteFileIfExists(ALBUM_ART_MARKER_FILE);
+  }
   return true;
 }
 
+async function markAlbumArtInUse(albumKey) {
+  if (!ALBUM_ART_MARKER_FILE) {
+    return;
+  }
+  try {
+    await fs.writeFile(ALBUM_ART_MARKER_FILE, `${JSON.stringify({ albumKey, updated_at: new Date().toISOString() })}\n`, 'utf8');
+  } catch (error) {
+    logger.error(`Failed to write ${ALBUM_ART_MARKER_FILE}`, { event: 'cache.error', error: error.message });
+  }
+}
+
 async function persistPayload(payload) {
   if (!STATUS_CACHE_FILE) {
     return;
@@ -716,11 +993,13 @@ async function persistPayload(payload) {
     const enrichedPayload = {
       status_text: payload.status_text,
       status_emoji: payload.status_emoji,
+      status_expiration: payload.status_expiration || 0,
+      previous_status: savedStatus,
       updated_at: new Date().toISOString(),
     };
     await fs.writeFile(STATUS_CACHE_FILE, `${JSON.stringify(enrichedPayload, null, 2)}\n`, 'utf8');
   } catch (error) {
-    console.error(`Failed to persist cache file at ${STATUS_CACHE_FILE}:`, error.message);
+    logger.error(`Failed to persist cache file at ${STATUS_CACHE_FILE}`, { event: 'cache.error', error: error.message });
   }
 }
 
@@ -729,161 +1008,553 @@ async function deleteFileIfExists(targetPath) {
     await fs.unlink(targetPath);
   } catch (error) {
     if (error.code !== 'ENOENT') {
-      console.error(`Failed to remove cache file at ${targetPath}:`, error.message);
+      logger.error(`Failed to remove cache file at ${targetPath}`, { event: 'cache.error', error: error.message });
     }
   }
 }
 
-async function main() {
-  let lastPayload = null;
-  let lastTrackKey = null;
-  const playerLabel = PLAYER === 'auto'
-    ? 'Spotify or Apple Music'
-    : PLAYER === 'spotify'
-      ? 'Spotify'
-      : 'Apple Music';
-  console.log(`Watching ${playerLabel} every ${POLL_INTERVAL_MS}ms...`);
-  const formatConfig = parseFormat(STATUS_FORMAT || buildDefaultFormat());
-  const statusEmoji = STATUS_EMOJI.replace(/%pb%/g, '').trim();
+// Returns the playback to share, or null when a filtered track should leave the
+// previous status (and photo) untouched.
+function applyPrivacyFilters(playback) {
+  if (!isTrackHidden(config.privacyFilters, playback.track)) {
+    return playback;
+  }
+  if (config.privacyAction === 'keep') {
+    return null;
+  }
+  if (config.privacyAction === 'generic') {
+    return { state: playback.state, track: null, hidden: true };
+  }
+  return { state: PLAYER_STATES.STOPPED, track: null };
+}
 
-  while (true) {
-    try {
-      const playback = await readCurrentTrack();
-      const track = playback.track;
-      let payload = null;
-
-      if (playback.state === PLAYER_STATES.PLAYING) {
-        payload = {
-          status_text: formatStatusText(track, formatConfig.playing),
-          status_emoji: statusEmoji,
-        };
-      } else if (playback.state === PLAYER_STATES.PAUSED) {
-        if (formatConfig.paused !== null) {
-          payload = {
-            status_text: formatStatusText(track, formatConfig.paused),
-            status_emoji: statusEmoji,
-          };
-        } else if (CLEAR_STATUS_ON_PAUSE) {
-          payload = { status_text: '', status_emoji: '' };
-        }
-      } else if (formatConfig.quiet !== null) {
-        payload = {
-          status_text: formatStatusText(track, formatConfig.quiet),
-          status_emoji: statusEmoji,
-        };
-      } else if (CLEAR_STATUS_ON_PAUSE) {
-        payload = { status_text: '', status_emoji: '' };
-      }
+function buildPayload(playback, formatConfig) {
+  const { track } = playback;
+  const statusEmoji = selectStatusEmoji(config.statusEmojiRules, playback, config.statusEmoji);
+  const showsTrack = playback.state === PLAYER_STATES.PLAYING
+    || (playback.state === PLAYER_STATES.PAUSED && formatConfig.paused !== null);
+  if (playback.hidden && showsTrack) {
+    return {
+      status_text: formatStatusText(null, config.privacyText),
+      status_emoji: statusEmoji,
+    };
+  }
+  if (playback.state === PLAYER_STATES.PLAYING) {
+    return {
+      status_text: formatStatusText(track, formatConfig.playing),
+      status_emoji: statusEmoji,
+    };
+  }
+  if (playback.state === PLAYER_STATES.PAUSED) {
+    if (formatConfig.paused !== null) {
+      return {
+        status_text: formatStatusText(track, formatConfig.paused),
+        status_emoji: statusEmoji,
+      };
+    }
+    return config.clearStatusOnPause ? { status_text: '', status_emoji: '' } : null;
+  }
+  if (formatConfig.quiet !== null) {
+    return {
+      status_text: formatStatusText(track, formatConfig.quiet),
+      status_emoji: statusEmoji,
+    };
+  }
+  return config.clearStatusOnPause ? { status_text: '', status_emoji: '' } : null;
+}
 
-      if (payload && !payloadsEqual(payload, lastPayload)) {
-        if (DRY_RUN) {
-          console.log(`[dry-run] Would update Slack status to: ${payload.status_text || '(cleared)'}`);
-        } else {
-          await updateSlackStatus(payload.status_text, payload.status_emoji);
-          console.log(`Updated Slack status to: ${payload.status_text || '(cleared)'}`);
-        }
-        lastPayload = payload;
-        lastPayloadRef = payload;
-        await persistPayload(payload);
-      } else if (!payload) {
-        lastPayload = null;
-        lastPayloadRef = null;
-      }
+// Seconds since the epoch at which Slack should drop the status by itself, so a
+// watcher that dies mid-track does not leave it behind; 0 means never.
+function computeStatusExpiration(playback, payload) {
+  if (!config.expireStatus || isClearPayload(payload)) {
+    return 0;
+  }
+  const nowSeconds = Math.ceil(Date.now() / 1000);
+  const { track } = playback;
+  if (playback.state === PLAYER_STATES.PLAYING) {
+    if (!track || !Number.isFinite(track.durationMs) || !Number.isFinite(track.positionMs) || track.durationMs <= 0) {
+      return 0;
+    }
+    const remainingSeconds = Math.ceil(Math.max(0, track.durationMs - track.positionMs) / 1000);
+    return nowSeconds + remainingSeconds + config.statusExpirationGraceSeconds;
+  }
+  if (playback.state === PLAYER_STATES.PAUSED && config.pausedStatusExpirationMinutes > 0) {
+    // Counted from when playback paused, not pushed back on every poll.
+    return Math.ceil(watcherState.pausedAt / 1000) + config.pausedStatusExpirationMinutes * 60;
+  }
+  return 0;
+}
+
+async function pollOnce() {
+  const readStartedAt = Date.now();
+  const current = await readCurrentTrack();
+  watcherState.lastPlayback = current;
+  Object.values(PLAYER_STATES).forEach((state) => metrics.playerState.set({ state }, state === current.state ? 1 : 0));
+  logger.debug('Read player', {
+    event: 'player.read',
+    state: current.state,
+    trackKey: trackKeyOf(current.track),
+    durationMs: Date.now() - readStartedAt,
+  });
+  const playback = applyPrivacyFilters(current);
+  // Plays are recorded even while sharing is paused; only the Slack writes
+  // below wait for the schedule, DND, presence and the control API.
+  await recordListening(listeningTracker.observe(playback || { state: PLAYER_STATES.STOPPED, track: null }, {
+    minListenMs: config.historyMinListenSeconds * 1000,
+  }));
+
+  const blocker = await findSharingBlocker();
+  if (blocker) {
+    if (watcherState.pausedReason === null) {
+      logger.info(`Pausing status updates: ${blocker}.`, { event: 'sharing.paused', reason: blocker });
+      await stopSharing();
+    }
+    watcherState.pausedReason = blocker;
+    return current;
+  }
+  if (watcherState.pausedReason !== null) {
+    logger.info('Resuming status updates.', { event: 'sharing.resumed' });
+    watcherState.pausedReason = null;
+  }
+
+  if (!playback) {
+    return current;
+  }
+  const track = playback.track;
+  if (playback.state !== PLAYER_STATES.PAUSED) {
+    watcherState.pausedAt = null;
+  } else if (watcherState.pausedAt === null) {
+    watcherState.pausedAt = Date.now();
+  }
+  const payload = buildPayload(playback, parseFormat(statusFormatFor(track)));
+  if (payload) {
+    payload.status_expiration = computeStatusExpiration(playback, payload);
+  }
+
+  if (payload && !payloadsEqual(payload, watcherState.lastPayload)) {
+    const applied = await applyStatusPayload(payload, watcherState.lastPayload, { trackKey: trackKeyOf(track) });
+    watcherState.lastPayload = payload;
+    if (applied) {
+      await persistPayload(ownsStatus ? payload : null);
+    }
+  } else if (!payload) {
+    watcherState.lastPayload = null;
+  }
 
-      if (track) {
-        const trackKey = `${track.source}||${track.artist}||${track.title}||${track.album}`;
-        if (UPDATE_PROFILE_PHOTO && trackKey !== lastTrackKey) {
-          if (DRY_RUN) {
-            console.log('[dry-run] Would update Slack profile photo with album artwork.');
-          } else {
-            if (!profilePhotoCacheUnavailable) {
-              try {
-                await cacheDefaultProfilePhoto();
-              } catch (error) {
-                profilePhotoCacheUnavailable = true;
-                if (error.message && error.message.includes('missing_scope')) {
-                  console.error('Profile photo caching disabled: missing Slack scope users.profile:read.');
-                  console.error('Set PROFILE_PHOTO_CACHE_FILE to an existing image to enable restore.');
-                } else {
-                  console.error('Profile photo caching disabled due to an error:', error.message);
-                }
-              }
+  if (track) {
+    // Tracks without an album are keyed by title so singles do not share art.
+    const albumKey = `${track.source}||${track.artist}||${track.album || `~${track.title}`}`;
+    if (config.updateProfilePhoto && !profilePhotoUpdatesRefused && albumKey !== watcherState.lastAlbumKey) {
+      if (DRY_RUN) {
+        logger.info('Would update Slack profile photo with album artwork.', { event: 'photo.updated', dryRun: true, albumKey });
+      } else {
+        if (!profilePhotoCacheUnavailable) {
+          try {
+            await cacheDefaultProfilePhoto();
+          } catch (error) {
+            if (isFatalSlackError(error)) {
+              throw error;
             }
-            const artPath = await exportAlbumArt(track);
-            if (artPath) {
-              await updateSlackProfilePhoto(artPath);
-              console.log('Updated Slack profile photo with album artwork.');
-              profilePhotoUpdated = true;
-              await deleteFileIfExists(artPath);
+            profilePhotoCacheUnavailable = true;
+            if (error.code === 'missing_scope') {
+              logger.error('Profile photo caching disabled: missing Slack scope users.profile:read.', {
+                event: 'photo.cache_disabled',
+                code: error.code,
+              });
+              logger.error('Set PROFILE_PHOTO_CACHE_FILE to an existing image to enable restore.');
             } else {
-              console.log('No album artwork available for the current track.');
+              logger.error('Profile photo caching disabled due to an error', {
+                event: 'photo.cache_disabled',
+                code: error.code,
+                error: error.message,
+              });
             }
           }
         }
-        lastTrackKey = trackKey;
-      } else {
-        if (UPDATE_PROFILE_PHOTO && profilePhotoUpdated) {
-          if (DRY_RUN) {
-            console.log('[dry-run] Would restore the default Slack profile photo.');
-          } else {
-            const restored = await restoreDefaultProfilePhoto();
-            if (restored) {
-              console.log('Restored the default Slack profile photo.');
-            } else {
-              console.log('No cached default profile photo to restore.');
+        const artPath = await findAlbumArt(track, albumKey);
+        const photo = artPath ? await checkAlbumArt(artPath) : null;
+        if (photo) {
+          try {
+            await updateSlackProfilePhoto(artPath, photo.crop);
+            await markAlbumArtInUse(albumKey);
+            logger.info('Updated Slack profile photo with album artwork.', { event: 'photo.updated', albumKey });
+            profilePhotoUpdated = true;
+          } catch (error) {
+            if (error.code !== 'no_permission') {
+              throw error;
             }
+            profilePhotoUpdatesRefused = true;
+            logger.error('Profile photo updates disabled: this workspace does not allow changing the profile photo.', {
+              event: 'photo.disabled',
+              code: error.code,
+            });
+          }
+        } else {
+          if (!artPath) {
+            logger.info('No album artwork available for the current track.', { event: 'artwork.missing', albumKey });
           }
-          profilePhotoUpdated = false;
+          // Artwork from an earlier album would be wrong here.
+          await restoreProfilePhotoIfUpdated();
+        }
+        if (artPath && !artworkCache) {
+          await deleteFileIfExists(artPath);
         }
-        lastTrackKey = null;
       }
-    } catch (error) {
-      console.error('Failed to update Slack status or profile photo:', error.message);
     }
-
-    await sleep(POLL_INTERVAL_MS);
+    watcherState.lastAlbumKey = albumKey;
+  } else {
+    await restoreProfilePhotoIfUpdated();
+    watcherState.lastAlbumKey = null;
   }
+  return current;
 }
 
-async function shutdown(signal) {
+function trackKeyOf(track) {
+  return track ? `${track.source}||${track.artist}||${track.title}||${track.album}` : null;
+}
+
+async function recordListening(play) {
+  if (!play || !HISTORY_FILE) {
+    return;
+  }
+  try {
+    await appendHistory(HISTORY_FILE, play);
+  } catch (error) {
+    logger.error(`Failed to append to the history file at ${HISTORY_FILE}`, { event: 'history.error', error: error.message });
+  }
+}
+
+async function restoreProfilePhotoIfUpdated() {
+  if (!config.updateProfilePhoto || !profilePhotoUpdated) {
+    return;
+  }
+  if (DRY_RUN) {
+    logger.info('Would restore the default Slack profile photo.', { event: 'photo.restored', dryRun: true });
+  } else {
+    const restored = await restoreDefaultProfilePhoto();
+    if (restored) {
+      logger.info('Restored the default Slack profile photo.', { event: 'photo.restored' });
+    } else {
+      logger.info('No cached default profile photo to restore.', { event: 'photo.restored' });
+    }
+  }
+  profilePhotoUpdated = false;
+}
+
+// Clears (or restores) the status and photo once when sharing pauses.
+async function stopSharing() {
+  const clearPayload = { status_text: '', status_emoji: '' };
+  if (watcherState.lastPayload && !payloadsEqual(clearPayload, watcherState.lastPayload)) {
+    const applied = await applyStatusPayload(clearPayload, watcherState.lastPayload);
+    if (applied) {
+      await persistPayload(null);
+    }
+  }
+  watcherState.lastPayload = null;
+  await restoreProfilePhotoIfUpdated();
+  watcherState.lastAlbumKey = null;
+}
+
+// Returns why sharing should pause right now, or null when it may go ahead.
+async function findSharingBlocker() {
+  if (watcherState.sharingPausedUntil !== null) {
+    if (Date.now() < watcherState.sharingPausedUntil) {
+      return 'paused through the control API';
+    }
+    watcherState.sharingPausedUntil = null;
+  }
+  if (!isWithinSchedule(config.schedule)) {
+    return 'outside the configured schedule';
+  }
+  if (DRY_RUN || (!config.respectDnd && !config.respectPresence)) {
+    return null;
+  }
+  if (Date.now() - availabilityCache.checkedAt < AVAILABILITY_CHECK_INTERVAL_MS) {
+    return availabilityCache.reason;
+  }
+  availabilityCache.reason = await checkAvailability();
+  availabilityCache.checkedAt = Date.now();
+  return availabilityCache.reason;
+}
+
+async function checkAvailability() {
+  if (config.respectDnd) {
+    const dnd = await callAvailabilityCheck('dnd.info');
+    if (dnd && isDndActive(dnd)) {
+      return 'Do Not Disturb is on';
+    }
+  }
+  if (config.respectPresence) {
+    const presence = await callAvailabilityCheck('users.getPresence');
+    if (presence && presence.presence === 'away') {
+      return 'Slack shows you as away';
+    }
+  }
+  return null;
+}
+
+async function callAvailabilityCheck(method) {
+  if (disabledAvailabilityChecks.has(method)) {
+    return null;
+  }
+  try {
+    return await callSlackApi(method);
+  } catch (error) {
+    if (isFatalSlackError(error)) {
+      throw error;
+    }
+    if (error.code === 'missing_scope') {
+      disabledAvailabilityChecks.add(method);
+      logger.error(`Skipping ${method} checks: the token is missing the ${AVAILABILITY_SCOPES[method]} scope.`, {
+        event: 'availability.disabled',
+        method,
+        code: error.code,
+      });
+    } else {
+      logger.error(`Failed to check ${method}`, { event: 'availability.error', method, code: error.code, error: error.message });
+    }
+    return null;
+  }
+}
+
+function isDndActive(dnd) {
+  if (dnd.snooze_enabled) {
+    return true;
+  }
+  const now = Date.now() / 1000;
+  return Boolean(dnd.dnd_enabled) && now >= dnd.next_dnd_start_ts && now < dnd.next_dnd_end_ts;
+}
+
+async function main() {
+  if (CONFIG_FILE) {
+    logger.info(`Loaded configuration from ${CONFIG_FILE}.`, { event: 'config.loaded', file: CONFIG_FILE });
+  }
+  logger.info(`Watching ${describePlayer(config.player, config.playerPolicy)} ${describePolling()}...`, { event: 'watcher.started' });
+
+  // Consecutive polls that found nothing playing (or failed); drives the backoff.
+  let idlePolls = 0;
+  while (true) {
+    let playback = null;
+    try {
+      playback = await pollOnce();
+      metrics.polls.inc({ result: 'ok' });
+    } catch (error) {
+      metrics.polls.inc({ result: 'error' });
+      if (isFatalSlackError(error)) {
+        throw error;
+      }
+      logger.error('Failed to update Slack status or profile photo', {
+        event: 'poll.error',
+        method: error.method,
+        code: error.code,
+        error: error.message,
+      });
+    }
+
+    try {
+      await postDueDigest();
+    } catch (error) {
+      if (isFatalSlackError(error)) {
+        throw error;
+      }
+      logger.error('Failed to post the weekly digest', { event: 'digest.error', code: error.code, error: error.message });
+    }
+
+    idlePolls = playback && playback.state !== PLAYER_STATES.STOPPED ? 0 : idlePolls + 1;
+    await sleep(nextPollDelay({
+      playback,
+      idlePolls,
+      showsProgress: statusFormatFor(playback && playback.track).includes('%pb'),
+      intervalMs: config.pollIntervalMs,
+      minIntervalMs: config.minPollIntervalMs,
+      maxIntervalMs: config.maxPollIntervalMs,
+    }));
+  }
+}
+
+// Posts the weekly digest once its scheduled time has come. The slot is saved
+// before posting, so a crash or restart mid-request can lose a digest but never
+// post it twice. When Slack certainly did not receive the post (rate limited,
+// unreachable or rejected) the slot is released again and retried a few
+// minutes later, within the catch-up window.
+async function postDueDigest(now = Date.now()) {
+  if (!config.digest || now < digestRetryAt) {
+    return;
+  }
+  const slot = findDueDigest(config.digest, now);
+  if (slot === null) {
+    return;
+  }
+  if (digestState === null) {
+    digestState = await loadDigestState();
+  }
+  if (digestState.lastSlot && Date.parse(digestState.lastSlot) >= slot) {
+    return;
+  }
+
+  const previousState = digestState;
+  await saveDigestState({ lastSlot: new Date(slot).toISOString() });
+
+  const message = await buildDigest(slot);
+  if (!message) {
+    logger.info('Skipping the weekly digest: no plays were recorded this week.', { event: 'digest.skipped' });
+    return;
+  }
+  if (DRY_RUN) {
+    logger.info(`Would post the weekly digest to ${message.channel}: ${message.text}`, {
+      event: 'digest.posted',
+      dryRun: true,
+      channel: message.channel,
+    });
+    return;
+  }
+  try {
+    await callSlackApi('chat.postMessage', { json: message, idempotent: false });
+  } catch (error) {
+    if (isFatalSlackError(error)) {
+      throw error;
+    }
+    const reason = error.code === 'missing_scope' ? 'the token is missing the chat:write scope' : error.message;
+    if (error.notSent) {
+      await saveDigestState(previousState);
+      digestRetryAt = now + DIGEST_RETRY_DELAY_MS;
+      throw new Error(`${reason}; it will be tried again in ${DIGEST_RETRY_DELAY_MS / 60000} minutes`);
+    }
+    throw new Error(`${reason}; Slack may have posted it, so it will not be tried again this week`);
+  }
+  logger.info(`Posted the weekly digest to ${message.channel}.`, { event: 'digest.posted', channel: message.channel });
+}
+
+// A dry run only keeps the state in memory, so a real run still posts.
+async function saveDigestState(state) {
+  digestState = state;
+  if (DRY_RUN) {
+    return;
+  }
+  await fs.mkdir(path.dirname(DIGEST_STATE_FILE), { recursive: true });
+  await fs.writeFile(DIGEST_STATE_FILE, `${JSON.stringify(state, null, 2)}\n`, 'utf8');
+}
+
+async function loadDigestState() {
+  try {
+    const state = JSON.parse(await fs.readFile(DIGEST_STATE_FILE, 'utf8'));
+    return state && typeof state.lastSlot === 'string' ? state : {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Failed to read digest state at ${DIGEST_STATE_FILE}`, { event: 'digest.error', error: error.message });
+    }
+    return {};
+  }
+}
+
+async function buildDigest(until) {
+  const summary = summarizeHistory(await readHistory(HISTORY_FILE), {
+    range: 'week',
+    now: until,
+    limit: config.digest.top || DEFAULT_DIGEST_TOP,
+  });
+  return summary.plays > 0 ? buildDigestMessage(config.digest, summary) : null;
+}
+
+function describePolling() {
+  return `every ${config.pollIntervalMs}ms (${config.minPollIntervalMs}-${config.maxPollIntervalMs}ms adaptive)`;
+}
+
+const PLAYER_NAMES = {
+  music: 'Apple Music',
+  spotify: 'Spotify',
+  mpris: 'MPRIS players',
+};
+
+function describePlayer(players, policy) {
+  const names = players.map((player) => PLAYER_NAMES[player]);
+  if (names.length === 1) {
+    return names[0];
+  }
+  return `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]} (${policy})`;
+}
+
+function reloadConfig() {
+  const reloaded = loadConfig();
+  if (reloaded.errors.length > 0) {
+    logger.error('Ignoring SIGHUP; the new configuration is invalid:', { event: 'config.invalid', errors: reloaded.errors });
+    if (config.logFormat === 'text') {
+      reloaded.errors.forEach((message) => logger.error(`  - ${message}`));
+    }
+    return;
+  }
+  const platformError = describePlatformProblem(reloaded.config.player);
+  if (platformError) {
+    logger.error(`Ignoring SIGHUP; ${platformError}`, { event: 'config.invalid' });
+    return;
+  }
+
+  const { config: merged, changed, ignored } = mergeReloadedConfig(config, reloaded.config);
+  config = merged;
+  logger.configure({ level: config.logLevel, format: config.logFormat });
+  if (ignored.length > 0) {
+    logger.warn(`Restart slack-currenttrack to apply: ${ignored.join(', ')}.`, { event: 'config.ignored', keys: ignored });
+  }
+  if (changed.length === 0) {
+    logger.info('Reloaded configuration; nothing changed.', { event: 'config.reloaded', keys: [] });
+    return;
+  }
+  logger.info(`Reloaded configuration (${changed.join(', ')}). Watching ${describePlayer(config.player, config.playerPolicy)} ${describePolling()}...`, {
+    event: 'config.reloaded',
+    keys: changed,
+  });
+  requestPoll();
+}
+
+async function shutdown(signal) {
   if (shuttingDown) {
     return;
   }
   shuttingDown = true;
-  console.log(`Exiting slack-currenttrack (${signal})`);
+  logger.info(`Exiting slack-currenttrack (${signal})`, { event: 'watcher.stopped', signal });
+  await recordListening(listeningTracker.flush({ minListenMs: config.historyMinListenSeconds * 1000 }));
 
-  let hasCachedProfilePhoto = false;
-  if (PROFILE_PHOTO_CACHE_FILE) {
-    hasCachedProfilePhoto = await fileExists(PROFILE_PHOTO_CACHE_FILE);
-  }
+  // The marker also covers album art a `once` run left behind.
+  const albumArtInUse = profilePhotoUpdated || (Boolean(ALBUM_ART_MARKER_FILE) && await fileExists(ALBUM_ART_MARKER_FILE));
 
-  if (UPDATE_PROFILE_PHOTO && (profilePhotoUpdated || hasCachedProfilePhoto)) {
+  if (config.updateProfilePhoto && albumArtInUse) {
     if (DRY_RUN) {
-      console.log('[dry-run] Would restore the default Slack profile photo.');
+      logger.info('Would restore the default Slack profile photo.', { event: 'photo.restored', dryRun: true });
     } else {
       try {
         const restored = await restoreDefaultProfilePhoto();
         if (restored) {
-          console.log('Restored the default Slack profile photo.');
+          logger.info('Restored the default Slack profile photo.', { event: 'photo.restored' });
         } else {
-          console.log('No cached default profile photo to restore.');
+          logger.info('No cached default profile photo to restore.', { event: 'photo.restored' });
         }
       } catch (error) {
-        console.error('Failed to restore the default Slack profile photo:', error.message);
+        logger.error('Failed to restore the default Slack profile photo', {
+          event: 'photo.error',
+          code: error.code,
+          error: error.message,
+        });
       }
     }
   }
 
-  if (CLEAR_STATUS_ON_PAUSE && lastPayloadRef) {
+  if (config.clearStatusOnPause && ownsStatus) {
     if (DRY_RUN) {
-      console.log('[dry-run] Would clear Slack status.');
+      logger.info(savedStatus ? 'Would restore the previous Slack status.' : 'Would clear Slack status.', {
+        event: savedStatus ? 'status.restored' : 'status.cleared',
+        dryRun: true,
+      });
     } else {
       try {
-        await updateSlackStatus('', '');
+        const current = await fetchSlackStatus();
+        if (watcherState.lastPayload && payloadsEqual(current, watcherState.lastPayload)) {
+          await restoreSavedStatus();
+        } else {
+          logger.info('Slack status was changed by hand; leaving it in place.', { event: 'status.manual' });
+        }
         await persistPayload(null);
-        console.log('Cleared Slack status.');
       } catch (error) {
-        console.error('Failed to clear Slack status:', error.message);
+        logger.error('Failed to clear Slack status', { event: 'status.error', code: error.code, error: error.message });
       }
     }
   }
@@ -891,10 +1562,601 @@ async function shutdown(signal) {
   process.exit(0);
 }
 
-process.on('SIGINT', () => shutdown('SIGINT'));
-process.on('SIGTERM', () => shutdown('SIGTERM'));
+async function loadPersistedPayload() {
+  if (!STATUS_CACHE_FILE) {
+    return null;
+  }
+  try {
+    const cached = JSON.parse(await fs.readFile(STATUS_CACHE_FILE, 'utf8'));
+    if (typeof cached.status_text !== 'string' || typeof cached.status_emoji !== 'string') {
+      return null;
+    }
+    return cached;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Failed to read cache file at ${STATUS_CACHE_FILE}`, { event: 'cache.error', error: error.message });
+    }
+    return null;
+  }
+}
+
+function describePlayback(playback) {
+  const { track } = playback;
+  if (!track) {
+    return playback.state;
+  }
+  const album = track.album ? ` (${track.album})` : '';
+  const position = Number.isFinite(track.durationMs)
+    ? ` [${formatClock(track.positionMs)}/${formatClock(track.durationMs)}]`
+    : '';
+  return `${playback.state}: ${track.artist} — ${track.title}${album}${position} via ${track.player || track.source}`;
+}
+
+const COMMANDS = {
+  run: {
+    summary: 'Watch the player and keep Slack in sync (default)',
+    needsSlack: true,
+    needsPlayer: true,
+    handler: runCommand,
+  },
+  once: {
+    summary: 'Poll the player once, update Slack, and exit',
+    needsSlack: true,
+    needsPlayer: true,
+    handler: onceCommand,
+  },
+  now: {
+    summary: 'Print the current track (add --json for JSON)',
+    needsSlack: false,
+    needsPlayer: true,
+    handler: nowCommand,
+  },
+  clear: {
+    summary: 'Clear the Slack status',
+    needsSlack: true,
+    needsPlayer: false,
+    handler: clearCommand,
+  },
+  'restore-photo': {
+    summary: 'Restore the cached default profile photo',
+    needsSlack: true,
+    needsPlayer: false,
+    handler: restorePhotoCommand,
+  },
+  preview: {
+    summary: 'Render --format "..." against a sample track (or --live) without touching Slack',
+    needsSlack: false,
+    needsPlayer: false,
+    handler: previewCommand,
+  },
+  stats: {
+    summary: 'Print top artists, albums and tracks from the listening history',
+    needsSlack: false,
+    needsPlayer: false,
+    handler: statsCommand,
+  },
+  digest: {
+    summary: 'Preview the weekly digest message for the last 7 days (add --json for Block Kit)',
+    needsSlack: false,
+    needsPlayer: false,
+    handler: digestCommand,
+  },
+  login: {
+    summary: 'Connect to Slack in the browser and save the token (add --no-browser to only print the link)',
+    needsSlack: false,
+    needsPlayer: false,
+    handler: loginCommand,
+  },
+};
 
-main().catch((error) => {
-  console.error('Fatal error:', error);
+// Options that take a value, with an example for the error when it is missing.
+const VALUE_OPTIONS = {
+  format: 'for example --format "%ar% — %so%"',
+  range: `one of ${HISTORY_RANGES.join(', ')}`,
+};
+
+function parseArgs(argv) {
+  const options = {
+    command: null,
+    format: null,
+    range: 'week',
+    json: false,
+    live: false,
+    episode: false,
+    browser: true,
+    help: false,
+  };
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--live') {
+      options.live = true;
+    } else if (arg === '--episode') {
+      options.episode = true;
+    } else if (arg === '--no-browser') {
+      options.browser = false;
+    } else if (arg === '--help' || arg === '-h' || arg === 'help') {
+      options.help = true;
+    } else if (arg.startsWith('--') && Object.prototype.hasOwnProperty.call(VALUE_OPTIONS, arg.slice(2).split('=')[0])) {
+      const [name, ...inline] = arg.slice(2).split('=');
+      if (inline.length > 0) {
+        options[name] = inline.join('=');
+      } else if (index + 1 < argv.length) {
+        options[name] = argv[index + 1];
+        index += 1;
+      } else {
+        throw new Error(`--${name} needs a value, ${VALUE_OPTIONS[name]}.`);
+      }
+    } else if (!arg.startsWith('-') && options.command === null) {
+      options.command = arg;
+    } else {
+      throw new Error(`Unexpected argument "${arg}".`);
+    }
+  }
+  options.command = options.command || 'run';
+  if (!options.help && !COMMANDS[options.command]) {
+    throw new Error(`Unknown command "${options.command}".`);
+  }
+  if (!HISTORY_RANGES.includes(options.range)) {
+    throw new Error(`--range must be ${VALUE_OPTIONS.range}, got "${options.range}".`);
+  }
+  return options;
+}
+
+function printUsage() {
+  console.log('Usage: slack-currenttrack [command] [options]');
+  console.log('');
+  console.log('Commands:');
+  Object.entries(COMMANDS).forEach(([name, command]) => {
+    console.log(`  ${name.padEnd(15)}${command.summary}`);
+  });
+  console.log('');
+  console.log('Options:');
+  console.log('  --format "..."  Format string for preview (defaults to STATUS_FORMAT)');
+  console.log('  --live          Preview against the track that is playing now');
+  console.log('  --episode       Preview against a sample podcast episode (uses PODCAST_FORMAT)');
+  console.log('  --range R       Period for stats: day, week (default) or month');
+  console.log('  --json          Print now, stats or digest as JSON');
+  console.log('  --no-browser    Print the login link instead of opening it');
+}
+
+function checkStartup(command) {
+  if (command.needsPlayer) {
+    const platformProblem = describePlatformProblem(config.player);
+    if (platformProblem) {
+      logger.error(platformProblem, { event: 'startup.error' });
+      logger.error('Use PLAYER=mpris (or PLAYER=auto) to read any MPRIS-capable player through playerctl.');
+      process.exit(1);
+    }
+  }
+
+  if (command.needsSlack && !SLACK_TOKEN && !DRY_RUN) {
+    logger.error('Missing SLACK_TOKEN. Run "slack-currenttrack login", or create a Slack app with users.profile:write and export the user token.', {
+      event: 'startup.error',
+    });
+    process.exit(1);
+  }
+
+  if (command.needsSlack && DRY_RUN && !SLACK_TOKEN) {
+    logger.warn('Running with DRY_RUN enabled and no SLACK_TOKEN. Slack will not be updated.', { event: 'startup.dry_run' });
+  }
+}
+
+// Checks the token with auth.test before the first poll. Features whose
+// scopes are missing are turned off (even when not enabled yet, so a reload
+// cannot turn them on); without the scopes for status updates the watcher
+// exits. Tokens that do not report scopes are left to fail as features run.
+async function checkToken() {
+  if (DRY_RUN) {
+    return;
+  }
+  let response;
+  try {
+    response = await callSlackApi('auth.test', { withHeaders: true });
+  } catch (error) {
+    if (isFatalSlackError(error)) {
+      throw error;
+    }
+    logger.warn('Could not check the Slack token with auth.test; continuing', {
+      event: 'auth.unchecked',
+      code: error.code,
+      error: error.message,
+    });
+    return;
+  }
+
+  const { body: identity, headers } = response;
+  const owner = `${identity.user} on ${identity.team}`;
+  if (headers['x-oauth-scopes'] === undefined) {
+    logger.info(`Using the Slack token of ${owner}; it does not list its scopes.`, {
+      event: 'auth.checked',
+      user: identity.user,
+      team: identity.team,
+    });
+    return;
+  }
+  const granted = new Set(headers['x-oauth-scopes'].split(',').map((scope) => scope.trim()).filter(Boolean));
+  const features = TOKEN_FEATURES.map((feature) => {
+    const missing = feature.scopes.filter((scope) => !granted.has(scope));
+    if (missing.length > 0) {
+      return { feature, missing, state: `off (missing ${missing.join(', ')})` };
+    }
+    return { feature, missing, state: feature.enabled() ? 'on' : 'off (not enabled)' };
+  });
+  logger.info(`Using the Slack token of ${owner}: ${features.map(({ feature, state }) => `${feature.label} ${state}`).join(', ')}.`, {
+    event: 'auth.checked',
+    user: identity.user,
+    team: identity.team,
+    scopes: Array.from(granted),
+  });
+
+  const [status, ...optional] = features;
+  if (status.missing.length > 0) {
+    logger.error(`Status updates need the ${status.missing.join(' and ')} ${status.missing.length === 1 ? 'scope' : 'scopes'}.`, {
+      event: 'startup.error',
+    });
+    logger.error('Add them to the Slack app, reinstall it, update SLACK_TOKEN and restart.');
+    process.exit(1);
+  }
+  optional
+    .filter(({ feature, missing }) => missing.length > 0 && feature.disable)
+    .forEach(({ feature }) => feature.disable());
+}
+
+// A run that was killed (SIGKILL, a crash, a kernel panic) never cleaned up
+// after itself. When Slack still shows the status it cached, that status is
+// taken over: the first poll replaces it, or clears it (restoring the status it
+// replaced) when nothing is playing. Album art it left as profile photo is
+// replaced by the default photo right away.
+async function recoverPreviousRun() {
+  if (DRY_RUN) {
+    return;
+  }
+  const cached = await loadPersistedPayload();
+  let adopted = false;
+  if (cached) {
+    const current = await fetchSlackStatus();
+    adoptPersistedPayload(cached);
+    adopted = payloadsEqual(current, watcherState.lastPayload);
+    if (adopted) {
+      logger.info(`Taking over the status left by the previous run: ${cached.status_text || cached.status_emoji}`, {
+        event: 'recovery.status',
+      });
+    } else {
+      // It expired or was changed by hand since; either way it is not ours anymore.
+      ownsStatus = false;
+      savedStatus = null;
+      watcherState.lastPayload = null;
+      await persistPayload(null);
+    }
+  }
+
+  if (ALBUM_ART_MARKER_FILE && await fileExists(ALBUM_ART_MARKER_FILE)) {
+    if (await restoreDefaultProfilePhoto()) {
+      logger.info('Restored the default Slack profile photo the previous run left as album artwork.', {
+        event: 'recovery.photo',
+      });
+    } else {
+      logger.warn('The previous run left album artwork as profile photo, but there is no cached default photo to restore.', {
+        event: 'recovery.photo',
+      });
+      await deleteFileIfExists(ALBUM_ART_MARKER_FILE);
+    }
+  }
+
+  // With CLEAR_STATUS_ON_PAUSE=false the first poll would leave a stale "now
+  // playing" status alone, so one nobody is playing anymore is cleared here.
+  if (adopted && (await readCurrentTrack()).state === PLAYER_STATES.STOPPED) {
+    await restoreSavedStatus();
+    watcherState.lastPayload = null;
+    await persistPayload(null);
+  }
+}
+
+async function runCommand() {
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGHUP', reloadConfig);
+  await checkToken();
+  try {
+    await recoverPreviousRun();
+  } catch (error) {
+    if (isFatalSlackError(error)) {
+      throw error;
+    }
+    logger.error('Failed to recover from the previous run', { event: 'recovery.error', code: error.code, error: error.message });
+  }
+  if (config.controlPort !== null) {
+    const server = await startControlServer({
+      host: config.controlHost,
+      port: config.controlPort,
+      token: config.controlToken,
+      handlers: CONTROL_HANDLERS,
+    });
+    const { address, port } = server.address();
+    const host = address.includes(':') ? `[${address}]` : address;
+    logger.info(`Control API listening on http://${host}:${port}/${config.controlToken ? ' (bearer token required)' : ''}.`, {
+      event: 'control.started',
+      port,
+    });
+  }
+  await main();
+}
+
+const CONTROL_HANDLERS = {
+  metrics() {
+    return metricsRegistry.render();
+  },
+  now() {
+    return {
+      ok: true,
+      playback: watcherState.lastPlayback,
+      payload: watcherState.lastPayload,
+      albumKey: watcherState.lastAlbumKey,
+      ownsStatus,
+      sharing: describeSharing(),
+    };
+  },
+  pause(minutes) {
+    watcherState.sharingPausedUntil = minutes === null ? Infinity : Date.now() + minutes * 60000;
+    logger.info(minutes === null
+      ? 'Sharing paused through the control API until resumed.'
+      : `Sharing paused through the control API for ${minutes} minutes.`, { event: 'control.pause', minutes });
+    requestPoll();
+    return { ok: true, sharing: describeSharing() };
+  },
+  resume() {
+    watcherState.sharingPausedUntil = null;
+    logger.info('Sharing resumed through the control API.', { event: 'control.resume' });
+    requestPoll();
+    return { ok: true, sharing: describeSharing() };
+  },
+  refresh() {
+    requestPoll();
+    return { ok: true };
+  },
+};
+
+function describeSharing() {
+  const until = watcherState.sharingPausedUntil;
+  return {
+    paused: watcherState.pausedReason !== null || until !== null,
+    reason: watcherState.pausedReason,
+    pausedUntil: until !== null && Number.isFinite(until) ? new Date(until).toISOString() : null,
+  };
+}
+
+async function onceCommand() {
+  // Pick up what an earlier run left behind so a stopped player clears our own
+  // status (and only ours) even though this process never set it.
+  const cached = await loadPersistedPayload();
+  if (cached) {
+    adoptPersistedPayload(cached);
+  }
+  profilePhotoUpdated = Boolean(ALBUM_ART_MARKER_FILE) && await fileExists(ALBUM_ART_MARKER_FILE);
+  await pollOnce();
+}
+
+function adoptPersistedPayload(cached) {
+  watcherState.lastPayload = {
+    status_text: cached.status_text,
+    status_emoji: cached.status_emoji,
+    status_expiration: cached.status_expiration || 0,
+  };
+  savedStatus = cached.previous_status || null;
+  ownsStatus = true;
+}
+
+async function nowCommand(options) {
+  const playback = await readCurrentTrack();
+  if (options.json) {
+    console.log(JSON.stringify(playback, null, 2));
+    return;
+  }
+  console.log(describePlayback(playback));
+}
+
+async function clearCommand() {
+  if (DRY_RUN) {
+    logger.info('Would clear Slack status.', { event: 'status.cleared', dryRun: true });
+    return;
+  }
+  await updateSlackStatus('', '');
+  await persistPayload(null);
+  logger.info('Cleared Slack status.', { event: 'status.cleared' });
+}
+
+async function restorePhotoCommand() {
+  if (DRY_RUN) {
+    logger.info('Would restore the default Slack profile photo.', { event: 'photo.restored', dryRun: true });
+    return;
+  }
+  const restored = await restoreDefaultProfilePhoto();
+  if (!restored) {
+    logger.error('No cached default profile photo to restore.', { event: 'photo.error' });
+    process.exitCode = 1;
+    return;
+  }
+  logger.info('Restored the default Slack profile photo.', { event: 'photo.restored' });
+}
+
+async function previewCommand(options) {
+  let playback = options.episode ? SAMPLE_EPISODE : SAMPLE_PLAYBACK;
+  if (options.live) {
+    const platformProblem = describePlatformProblem(config.player);
+    if (platformProblem) {
+      console.error(platformProblem);
+      process.exitCode = 1;
+      return;
+    }
+    playback = await readCurrentTrack();
+  }
+  const formatConfig = parseFormat(options.format || statusFormatFor(playback.track));
+
+  console.log(`Track:   ${describePlayback(playback)}`);
+  console.log(`Playing: ${formatStatusText(playback.track, formatConfig.playing) || '(empty)'}`);
+  if (formatConfig.paused !== null) {
+    console.log(`Paused:  ${formatStatusText(playback.track, formatConfig.paused) || '(empty)'}`);
+  }
+  if (formatConfig.quiet !== null) {
+    console.log(`Stopped: ${formatStatusText(null, formatConfig.quiet) || '(empty)'}`);
+  }
+}
+
+async function statsCommand(options) {
+  if (!HISTORY_FILE) {
+    console.error('HISTORY_FILE is disabled, so there is no listening history to summarize.');
+    process.exitCode = 1;
+    return;
+  }
+  const summary = summarizeHistory(await readHistory(HISTORY_FILE), { range: options.range });
+  if (options.json) {
+    console.log(JSON.stringify(summary, null, 2));
+    return;
+  }
+
+  console.log(`Listening since ${summary.since.slice(0, 16).replace('T', ' ')} UTC (last ${options.range})`);
+  console.log(`Total: ${formatListeningTime(summary.listenedMs)} over ${summary.plays} plays`);
+  [
+    ['Top artists', summary.topArtists, (entry) => entry.artist],
+    ['Top albums', summary.topAlbums, (entry) => `${entry.album} — ${entry.artist}`],
+    ['Top tracks', summary.topTracks, (entry) => `${entry.title} — ${entry.artist}`],
+  ].forEach(([heading, entries, describe]) => {
+    console.log('');
+    console.log(heading);
+    if (entries.length === 0) {
+      console.log('  (none)');
+    }
+    entries.forEach((entry, index) => {
+      const plays = `${entry.plays} ${entry.plays === 1 ? 'play' : 'plays'}`;
+      console.log(`  ${String(index + 1).padStart(2)}. ${describe(entry).padEnd(40)} ${plays.padStart(9)}  ${formatListeningTime(entry.listenedMs)}`);
+    });
+  });
+}
+
+async function digestCommand(options) {
+  if (!config.digest) {
+    console.error('Set DIGEST (or "digest" in the config file) to preview the weekly digest.');
+    process.exitCode = 1;
+    return;
+  }
+  const message = await buildDigest(Date.now());
+  if (!message) {
+    console.log('No plays were recorded in the last 7 days; nothing would be posted.');
+    return;
+  }
+  if (options.json) {
+    console.log(JSON.stringify(message, null, 2));
+    return;
+  }
+  const [, section, context] = message.blocks;
+  console.log(`To: ${message.channel}`);
+  console.log('What I listened to this week');
+  section.fields.forEach((field) => console.log(`\n${field.text.replace(/\*/g, '')}`));
+  console.log(`\n${context.elements[0].text}`);
+}
+
+// The scopes the enabled features need; run login again after turning on DND
+// or presence checks, or the digest.
+function loginScopes() {
+  const scopes = ['users.profile:read', 'users.profile:write'];
+  if (config.respectDnd) {
+    scopes.push(AVAILABILITY_SCOPES['dnd.info']);
+  }
+  if (config.respectPresence) {
+    scopes.push(AVAILABILITY_SCOPES['users.getPresence']);
+  }
+  if (config.digest) {
+    scopes.push('chat:write');
+  }
+  return scopes;
+}
+
+async function loginCommand(options) {
+  if (!config.slackClientId) {
+    console.error('login needs the Client ID of your Slack app in SLACK_CLIENT_ID (Basic Information → App Credentials).');
+    process.exit(1);
+  }
+  if (!credentialStore) {
+    console.error('login needs SLACK_CREDENTIALS_FILE to save the token in.');
+    process.exit(1);
+  }
+
+  const state = crypto.randomBytes(16).toString('hex');
+  const listener = await startRedirectListener({ port: config.oauthRedirectPort, state, timeoutMs: LOGIN_TIMEOUT_MS });
+  let credentials;
+  try {
+    const authorizeUrl = buildAuthorizeUrl({
+      authorizeUrl: config.oauthAuthorizeUrl,
+      clientId: config.slackClientId,
+      scopes: loginScopes(),
+      redirectUri: listener.redirectUri,
+      state,
+    });
+    console.log(`Add ${listener.redirectUri} as a Redirect URL of your Slack app, then open this link to connect:`);
+    console.log(authorizeUrl);
+    if (options.browser) {
+      openBrowser(authorizeUrl);
+    }
+    const code = await listener.code;
+    credentials = await exchangeCode({
+      tokenUrl: config.oauthTokenUrl,
+      clientId: config.slackClientId,
+      clientSecret: config.slackClientSecret,
+      code,
+      redirectUri: listener.redirectUri,
+    });
+  } catch (error) {
+    console.error(`Login failed: ${error.message}.`);
+    process.exit(1);
+  } finally {
+    listener.close();
+  }
+
+  await credentialStore.write(credentials);
+  console.log(`Logged in as ${credentials.userId} on ${credentials.teamName}; the token is saved in ${credentialStore.location}.`);
+  if (config.slackToken) {
+    console.log('SLACK_TOKEN is set and still takes precedence; unset it to use the saved token.');
+  }
+}
+
+// Best effort: the link is printed either way.
+function openBrowser(url) {
+  const opener = process.platform === 'darwin' ? 'open' : 'xdg-open';
+  execFile(opener, [url], () => {});
+}
+
+async function runCli(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(error.message);
+    printUsage();
+    process.exit(2);
+  }
+  if (options.help) {
+    printUsage();
+    return;
+  }
+  const command = COMMANDS[options.command];
+  checkStartup(command);
+  await command.handler(options);
+}
+
+runCli(process.argv.slice(2)).catch((error) => {
+  if (isFatalSlackError(error)) {
+    logger.error(`Slack rejected the token (${error.code}) during ${error.method}; stopping.`, {
+      event: 'slack.fatal',
+      method: error.method,
+      code: error.code,
+    });
+    logger.error('Create a new user token with users.profile:write, update SLACK_TOKEN and restart.');
+    process.exit(1);
+  }
+  // The stack trace only helps when debugging; usually the message says enough.
+  const detail = logger.isDebugEnabled() && error.stack ? error.stack : error.message || String(error);
+  logger.error('Fatal error', { event: 'fatal', error: detail });
   process.exit(1);
 });
@@ -0,0 +1,78 @@
+// Leveled logger. Every record is a message plus structured fields, such as
+//
+//   { event: 'status.updated', trackKey, method, code, durationMs, error }
+//
+// In text format info and debug go to stdout and warn and error to stderr:
+// `error` is appended to the message, debug records list all their fields and
+// `dryRun: true` records get a "[dry-run]" prefix. In JSON format every record
+// is one line with `time`, `level`, `message` and the fields. Known secrets and
+// anything that looks like a Slack token are redacted either way.
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+};
+const FORMATS = ['text', 'json'];
+const SLACK_TOKEN_PATTERN = /xox[a-z]-[A-Za-z0-9-]+/g;
+const REDACTED = '[redacted]';
+
+function createLogger({
+  level = 'info',
+  format = 'text',
+  secrets = [],
+  stdout = process.stdout,
+  stderr = process.stderr,
+} = {}) {
+  const settings = { level, format };
+  const knownSecrets = secrets.filter(Boolean);
+
+  function write(levelName, message, fields = {}) {
+    if (LEVELS[levelName] < LEVELS[settings.level]) {
+      return;
+    }
+    const stream = LEVELS[levelName] >= LEVELS.warn ? stderr : stdout;
+    const line = settings.format === 'json'
+      ? JSON.stringify({ time: new Date().toISOString(), level: levelName, message, ...fields })
+      : formatText(levelName, message, fields);
+    stream.write(`${redact(line)}\n`);
+  }
+
+  function redact(line) {
+    return knownSecrets
+      .reduce((current, secret) => current.split(secret).join(REDACTED), line)
+      .replace(SLACK_TOKEN_PATTERN, REDACTED);
+  }
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    isDebugEnabled: () => LEVELS[settings.level] <= LEVELS.debug,
+    // Applies a reloaded LOG_LEVEL / LOG_FORMAT.
+    configure({ level: nextLevel = settings.level, format: nextFormat = settings.format }) {
+      settings.level = nextLevel;
+      settings.format = nextFormat;
+    },
+  };
+}
+
+function formatText(levelName, message, fields) {
+  const { dryRun, error, ...rest } = fields;
+  let line = `${dryRun ? '[dry-run] ' : ''}${message}${error ? `: ${error}` : ''}`;
+  if (levelName === 'debug') {
+    const details = Object.entries(rest)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    line = `debug: ${[line, ...details].join(' ')}`;
+  }
+  return line;
+}
+
+module.exports = {
+  LOG_FORMATS: FORMATS,
+  LOG_LEVELS: Object.keys(LEVELS),
+  createLogger,
+};
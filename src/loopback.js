@@ -0,0 +1,16 @@
+// Host names that only reach this machine. Accepts IPv6 addresses with or
+// without brackets, as URL hostnames ("[::1]") and listen addresses ("::1")
+// write them differently.
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '::1']);
+
+function isLoopbackHost(host) {
+  if (typeof host !== 'string') {
+    return false;
+  }
+  return LOOPBACK_HOSTS.has(host.toLowerCase().replace(/^\[(.*)\]$/, '$1'));
+}
+
+module.exports = {
+  isLoopbackHost,
+};
@@ -0,0 +1,112 @@
+// Minimal Prometheus registry: counters, gauges and histograms with labels,
+// rendered in the text exposition format (version 0.0.4).
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function createMetricsRegistry() {
+  const metrics = [];
+
+  function define(type, name, help, labelNames) {
+    const metric = { type, name, help, series: new Map() };
+    if (labelNames.length === 0 && type !== 'histogram') {
+      metric.series.set('', { labels: {}, value: 0 });
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Series are keyed by their rendered labels, so callers pass labels in the
+  // same order every time.
+  function seriesFor(metric, labels, create) {
+    const key = formatLabels(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels, ...create() });
+    }
+    return metric.series.get(key);
+  }
+
+  return {
+    // Metrics without label names start at 0 so they are scraped before
+    // anything happened; labeled series appear on first use.
+    counter(name, help, labelNames = []) {
+      const metric = define('counter', name, help, labelNames);
+      return {
+        inc(labels = {}, amount = 1) {
+          seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+        },
+      };
+    },
+    gauge(name, help, labelNames = []) {
+      const metric = define('gauge', name, help, labelNames);
+      return {
+        set(labels, value) {
+          seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+        },
+      };
+    },
+    histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+      const metric = define('histogram', name, help, []);
+      metric.buckets = buckets;
+      return {
+        observe(labels, value) {
+          const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+          buckets.forEach((bound, index) => {
+            if (value <= bound) {
+              series.counts[index] += 1;
+            }
+          });
+          series.sum += value;
+          series.count += 1;
+        },
+      };
+    },
+    render() {
+      return metrics.map(renderMetric).join('');
+    },
+  };
+}
+
+function renderMetric(metric) {
+  const lines = [
+    `# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+  ];
+  metric.series.forEach((series) => {
+    if (metric.type !== 'histogram') {
+      lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+      return;
+    }
+    // Bucket counts are cumulative already: observe() adds to every bucket the
+    // value fits in.
+    metric.buckets.forEach((bound, index) => {
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: String(bound) })} ${series.counts[index]}`);
+    });
+    lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+    lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => (
+    `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  ));
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+module.exports = {
+  METRICS_CONTENT_TYPE: CONTENT_TYPE,
+  createMetricsRegistry,
+};
@@ -0,0 +1,162 @@
+// Slack OAuth v2 install flow for user tokens, as run by `login`:
+//
+//   1. the user opens the authorize URL and approves the requested user scopes,
+//   2. Slack redirects the browser to a listener on 127.0.0.1 with a code,
+//   3. the code is exchanged for the token at the token endpoint.
+//
+// The token endpoint is configurable so the exchange can go through a service
+// that holds the client secret (or a local stand-in in tests).
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_AUTHORIZE_URL = 'https://slack.com/oauth/v2/authorize';
+const DEFAULT_TOKEN_URL = 'https://slack.com/api/oauth.v2.access';
+const CALLBACK_PATH = '/oauth/callback';
+
+function buildAuthorizeUrl({
+  authorizeUrl,
+  clientId,
+  scopes,
+  redirectUri,
+  state,
+}) {
+  const url = new URL(authorizeUrl);
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('user_scope', scopes.join(','));
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('state', state);
+  return url.toString();
+}
+
+// Listens on 127.0.0.1:`port` (0 picks a free port) for Slack's redirect.
+// Resolves with { redirectUri, code, close } once listening; `code` is a
+// promise for the authorization code. Requests with another `state` are
+// answered with 400 and otherwise ignored, so a stray request cannot end the
+// login.
+function startRedirectListener({ port, state, timeoutMs }) {
+  let settle;
+  const code = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+  const timer = setTimeout(() => {
+    settle.reject(new Error(`no answer from Slack within ${Math.round(timeoutMs / 60000)} minutes`));
+  }, timeoutMs);
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    if (req.method !== 'GET' || url.pathname !== CALLBACK_PATH) {
+      reply(res, 404, 'Not found.');
+      return;
+    }
+    if (url.searchParams.get('state') !== state) {
+      reply(res, 400, 'This login link is out of date. Start again with: slack-currenttrack login');
+      return;
+    }
+    const error = url.searchParams.get('error');
+    if (error || !url.searchParams.get('code')) {
+      reply(res, 400, `Slack did not connect: ${error || 'no code'}. You can close this tab.`);
+      settle.reject(new Error(`Slack did not grant access (${error || 'no code'})`));
+      return;
+    }
+    reply(res, 200, 'slack-currenttrack is connected to Slack. You can close this tab.');
+    settle.resolve(url.searchParams.get('code'));
+  });
+  // Open sockets, so close() does not wait for a browser's keep-alive
+  // connection (server.closeAllConnections needs Node 18.2).
+  const sockets = new Set();
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.once('close', () => sockets.delete(socket));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      server.removeListener('error', reject);
+      resolve({
+        redirectUri: `http://127.0.0.1:${server.address().port}${CALLBACK_PATH}`,
+        code,
+        close() {
+          clearTimeout(timer);
+          server.close();
+          sockets.forEach((socket) => socket.destroy());
+        },
+      });
+    });
+  });
+}
+
+function reply(res, status, text) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', Connection: 'close' });
+  res.end(`${text}\n`);
+}
+
+// Exchanges the code with oauth.v2.access (form encoded, as Slack expects).
+// Resolves with the credentials to save.
+function exchangeCode({
+  tokenUrl,
+  clientId,
+  clientSecret,
+  code,
+  redirectUri,
+}) {
+  const form = new URLSearchParams({ client_id: clientId, code, redirect_uri: redirectUri });
+  if (clientSecret) {
+    form.set('client_secret', clientSecret);
+  }
+  const body = Buffer.from(form.toString(), 'utf8');
+  const url = new URL(tokenUrl);
+  const transport = url.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Content-Length': body.length,
+      },
+      timeout: 30000,
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        let parsed;
+        try {
+          parsed = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+          reject(new Error(`the token endpoint answered HTTP ${res.statusCode} without JSON`));
+          return;
+        }
+        if (!parsed.ok) {
+          reject(new Error(`the token exchange failed: ${parsed.error || `HTTP ${res.statusCode}`}`));
+          return;
+        }
+        const user = parsed.authed_user || {};
+        if (!user.access_token) {
+          reject(new Error('the token endpoint returned no user token'));
+          return;
+        }
+        resolve({
+          token: user.access_token,
+          userId: user.id || null,
+          teamId: parsed.team ? parsed.team.id : null,
+          teamName: parsed.team ? parsed.team.name : null,
+          scopes: (user.scope || '').split(',').filter(Boolean),
+          savedAt: new Date().toISOString(),
+        });
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('the token exchange timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = {
+  DEFAULT_AUTHORIZE_URL,
+  DEFAULT_TOKEN_URL,
+  buildAuthorizeUrl,
+  exchangeCode,
+  startRedirectListener,
+};
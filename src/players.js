@@ -0,0 +1,62 @@
+// Picks whose playback to share when several players are configured
+// (PLAYER=spotify,music). Policies:
+//
+//   priority               the first playing player in the list, else the first paused one
+//   most-recently-started  the playing player that started playing last
+//   sticky                 the player shared last, as long as it keeps playing
+//
+// Players are read one at a time and reading stops once the policy has its
+// answer, so with `priority` and `sticky` a playing player usually costs a
+// single read. `most-recently-started` has to read every player on each poll.
+
+const POLICIES = ['priority', 'most-recently-started', 'sticky'];
+
+const STOPPED = { state: 'stopped', track: null };
+
+function createPlayerArbiter() {
+  // The player whose playback was returned last, and when each player was
+  // first seen playing (cleared once it is seen not playing).
+  let current = null;
+  const playingSince = new Map();
+
+  // `read(name)` resolves with that player's playback.
+  async function choose(players, { policy, read, now = Date.now() }) {
+    const order = policy === 'sticky' && players.includes(current)
+      ? [current, ...players.filter((name) => name !== current)]
+      : players;
+    const readings = [];
+    for (let index = 0; index < order.length; index += 1) {
+      const name = order[index];
+      const playback = await read(name);
+      readings.push({ name, playback });
+      if (playback.state !== 'playing') {
+        playingSince.delete(name);
+      } else if (!playingSince.has(name)) {
+        playingSince.set(name, now);
+      }
+      if (playback.state === 'playing' && policy !== 'most-recently-started') {
+        break;
+      }
+    }
+
+    const playing = readings.filter(({ playback }) => playback.state === 'playing');
+    let chosen;
+    if (policy === 'most-recently-started' && playing.length > 0) {
+      // Ties (such as players already playing at startup) go by list order.
+      chosen = playing.reduce((latest, reading) => (
+        playingSince.get(reading.name) > playingSince.get(latest.name) ? reading : latest
+      ));
+    } else {
+      chosen = playing[0] || readings.find(({ playback }) => playback.state === 'paused') || null;
+    }
+    current = chosen ? chosen.name : null;
+    return chosen ? chosen.playback : STOPPED;
+  }
+
+  return { choose };
+}
+
+module.exports = {
+  PLAYER_POLICIES: POLICIES,
+  createPlayerArbiter,
+};
@@ -0,0 +1,61 @@
+// Decides how long the watcher sleeps before the next poll.
+//
+// While a track plays the loop keeps the regular POLL_INTERVAL_MS cadence but
+// wakes just after the track is due to end, and when the format shows a
+// progress bar it also wakes when the bar is due to move. When nothing is
+// playing the delay doubles on every idle poll up to the maximum. Every delay
+// is clamped to the configured minimum and maximum.
+
+const PLAYING = 'playing';
+const STOPPED = 'stopped';
+
+// Players report the end of a track a little late; waking right on time would
+// usually still see the old track.
+const TRACK_END_SLACK_MS = 1500;
+
+// Matches buildProgressBar in format.js: the marker moves between 9 slots.
+const PROGRESS_BAR_STEPS = 8;
+const PROGRESS_STEP_SLACK_MS = 250;
+
+function nextPollDelay({
+  playback,
+  idlePolls = 0,
+  showsProgress = false,
+  intervalMs,
+  minIntervalMs,
+  maxIntervalMs,
+}) {
+  return clamp(rawDelay(), minIntervalMs, maxIntervalMs);
+
+  function rawDelay() {
+    if (!playback || playback.state === STOPPED || !playback.track) {
+      return intervalMs * 2 ** Math.max(0, idlePolls - 1);
+    }
+    if (playback.state !== PLAYING) {
+      return intervalMs;
+    }
+    const { durationMs, positionMs } = playback.track;
+    if (!Number.isFinite(durationMs) || !Number.isFinite(positionMs) || durationMs <= 0) {
+      return intervalMs;
+    }
+    let delay = Math.min(intervalMs, Math.max(0, durationMs - positionMs) + TRACK_END_SLACK_MS);
+    if (showsProgress) {
+      delay = Math.min(delay, untilProgressStep(durationMs, positionMs));
+    }
+    return delay;
+  }
+}
+
+function untilProgressStep(durationMs, positionMs) {
+  const stepMs = durationMs / PROGRESS_BAR_STEPS;
+  const nextStep = (Math.floor(positionMs / stepMs) + 1) * stepMs;
+  return Math.ceil(nextStep - positionMs) + PROGRESS_STEP_SLACK_MS;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), Math.max(min, max));
+}
+
+module.exports = {
+  nextPollDelay,
+};
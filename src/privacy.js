@@ -0,0 +1,91 @@
+// Privacy filters decide which tracks may be shared at all.
+//
+//   {
+//     "block": { "artist": ["white noise"], "album": ["kids"] },
+//     "allow": { "title": ["."] }
+//   }
+//
+// A track is hidden when any block pattern matches, or when a field has an
+// allow list and none of its patterns match. Patterns are case-insensitive
+// regular expressions.
+
+const FIELDS = ['artist', 'title', 'album'];
+const LISTS = ['block', 'allow'];
+const ACTIONS = ['stop', 'generic', 'keep'];
+
+const compiledFilters = new WeakMap();
+
+function describePrivacyFilterProblems(filters) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return ['must be an object with "block" and/or "allow" lists'];
+  }
+  const problems = [];
+  Object.keys(filters).forEach((list) => {
+    if (!LISTS.includes(list)) {
+      problems.push(`unknown list "${list}" (expected block or allow)`);
+      return;
+    }
+    const fields = filters[list];
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      problems.push(`${list} must map artist, title or album to a list of patterns`);
+      return;
+    }
+    Object.keys(fields).forEach((field) => {
+      if (!FIELDS.includes(field)) {
+        problems.push(`${list}.${field} is not one of ${FIELDS.join(', ')}`);
+        return;
+      }
+      if (!Array.isArray(fields[field])) {
+        problems.push(`${list}.${field} must be a list of patterns`);
+        return;
+      }
+      fields[field].forEach((pattern, index) => {
+        try {
+          RegExp(pattern, 'i');
+        } catch (error) {
+          problems.push(`${list}.${field}[${index}] is not a valid regular expression (${error.message})`);
+        }
+      });
+    });
+  });
+  return problems;
+}
+
+function compileFilters(filters) {
+  let compiled = compiledFilters.get(filters);
+  if (!compiled) {
+    compiled = {};
+    LISTS.forEach((list) => {
+      compiled[list] = {};
+      FIELDS.forEach((field) => {
+        const patterns = (filters[list] && filters[list][field]) || [];
+        compiled[list][field] = patterns.map((pattern) => new RegExp(pattern, 'i'));
+      });
+    });
+    compiledFilters.set(filters, compiled);
+  }
+  return compiled;
+}
+
+function isTrackHidden(filters, track) {
+  if (!filters || !track) {
+    return false;
+  }
+  const compiled = compileFilters(filters);
+  const blocked = FIELDS.some((field) => (
+    compiled.block[field].some((pattern) => pattern.test(track[field] || ''))
+  ));
+  if (blocked) {
+    return true;
+  }
+  return FIELDS.some((field) => (
+    compiled.allow[field].length > 0
+    && !compiled.allow[field].some((pattern) => pattern.test(track[field] || ''))
+  ));
+}
+
+module.exports = {
+  PRIVACY_ACTIONS: ACTIONS,
+  describePrivacyFilterProblems,
+  isTrackHidden,
+};
@@ -0,0 +1,115 @@
+// Working-hours schedule.
+//
+//   {
+//     "timezone": "Europe/Berlin",
+//     "windows": [{ "days": ["mon", "tue", "wed", "thu", "fri"], "start": "09:00", "end": "18:00" }]
+//   }
+//
+// A window whose end is before its start runs past midnight and belongs to the
+// day it starts on. Without a timezone the system timezone is used.
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+const formatters = new Map();
+
+function describeScheduleProblems(schedule) {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return ['must be an object with a "windows" list'];
+  }
+  const problems = [];
+  Object.keys(schedule).forEach((key) => {
+    if (key !== 'timezone' && key !== 'windows') {
+      problems.push(`unknown key "${key}"`);
+    }
+  });
+  if (schedule.timezone !== undefined && !isKnownTimezone(schedule.timezone)) {
+    problems.push(`timezone "${schedule.timezone}" is not a known IANA timezone`);
+  }
+  if (!Array.isArray(schedule.windows) || schedule.windows.length === 0) {
+    problems.push('windows must be a non-empty list');
+    return problems;
+  }
+  schedule.windows.forEach((window, index) => {
+    if (!window || typeof window !== 'object') {
+      problems.push(`windows[${index}] must be an object`);
+      return;
+    }
+    if (!Array.isArray(window.days) || window.days.some((day) => !DAYS.includes(String(day).toLowerCase()))) {
+      problems.push(`windows[${index}].days must list days as ${DAYS.join(', ')}`);
+    }
+    ['start', 'end'].forEach((key) => {
+      if (!TIME_PATTERN.test(window[key] || '')) {
+        problems.push(`windows[${index}].${key} must be a time like 09:30`);
+      }
+    });
+  });
+  return problems;
+}
+
+function isWithinSchedule(schedule, date = new Date()) {
+  if (!schedule) {
+    return true;
+  }
+  const { day, minutes } = localTime(schedule.timezone, date);
+  const previousDay = DAYS[(DAYS.indexOf(day) + DAYS.length - 1) % DAYS.length];
+  return schedule.windows.some((window) => {
+    const days = window.days.map((value) => value.toLowerCase());
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    if (start <= end) {
+      return days.includes(day) && minutes >= start && minutes < end;
+    }
+    return (days.includes(day) && minutes >= start) || (days.includes(previousDay) && minutes < end);
+  });
+}
+
+function isKnownTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Weekday (sun..sat) and minutes since midnight of `date` in `timezone`.
+function localTime(timezone, date) {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach((part) => {
+    parts[part.type] = part.value;
+  });
+  return {
+    day: parts.weekday.toLowerCase(),
+    minutes: (Number.parseInt(parts.hour, 10) % 24) * 60 + Number.parseInt(parts.minute, 10),
+  };
+}
+
+function getFormatter(timezone) {
+  const key = timezone || '';
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || undefined,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }));
+  }
+  return formatters.get(key);
+}
+
+function toMinutes(value) {
+  const [, hours, minutes] = TIME_PATTERN.exec(value);
+  return Number.parseInt(hours, 10) * 60 + Number.parseInt(minutes, 10);
+}
+
+module.exports = {
+  DAYS,
+  TIME_PATTERN,
+  describeScheduleProblems,
+  isKnownTimezone,
+  isWithinSchedule,
+  localTime,
+  toMinutes,
+};
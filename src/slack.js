@@ -0,0 +1,278 @@
+const http = require('http');
+const https = require('https');
+
+const { createLogger } = require('./logger');
+const { isLoopbackHost } = require('./loopback');
+
+const DEFAULT_SLACK_API_URL = 'https://slack.com/api/';
+
+// Errors that mean the token itself is unusable; retrying (or polling again) cannot help.
+const FATAL_ERRORS = new Set([
+  'invalid_auth',
+  'not_authed',
+  'token_revoked',
+  'token_expired',
+  'account_inactive',
+  'two_factor_setup_required',
+]);
+
+const RETRYABLE_ERRORS = new Set([
+  'ratelimited',
+  'internal_error',
+  'fatal_error',
+  'service_unavailable',
+  'request_timeout',
+]);
+
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'EPIPE',
+]);
+
+// Network failures before the request reached Slack.
+const UNSENT_NETWORK_CODES = new Set([
+  'ECONNREFUSED',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+]);
+
+// Slack errors that can come from a request Slack (partly) carried out. Every
+// other Slack error means it was rejected without doing anything.
+const AMBIGUOUS_ERRORS = new Set([
+  'internal_error',
+  'fatal_error',
+  'service_unavailable',
+  'request_timeout',
+]);
+
+function createSlackClient({
+  token,
+  baseUrl = DEFAULT_SLACK_API_URL,
+  maxRetries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  maxRetryAfterMs = 60000,
+  timeoutMs = 30000,
+  logger = createLogger(),
+} = {}) {
+  const problem = describeApiUrlProblem(baseUrl);
+  if (problem) {
+    throw new Error(`Invalid Slack API URL ${baseUrl}: ${problem}`);
+  }
+  const endpoint = new URL(baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+  const transport = endpoint.protocol === 'http:' ? http : https;
+
+  // Pass `idempotent: false` for calls with side effects that must not repeat,
+  // such as chat.postMessage: after a timeout, a dropped connection or a 5xx
+  // Slack may have done the work already, so those are not retried. Errors
+  // carry `notSent: true` when Slack certainly did not act on the request.
+  async function call(method, { idempotent = true, ...options } = {}) {
+    let attempt = 0;
+    while (true) {
+      try {
+        return await callOnce(method, options);
+      } catch (error) {
+        const retryable = error.retryable && (idempotent || error.notSent);
+        if (!retryable || attempt >= maxRetries) {
+          throw error;
+        }
+        const delayMs = error.retryAfterMs !== undefined
+          ? error.retryAfterMs
+          : backoffDelay(attempt, baseDelayMs, maxDelayMs);
+        if (delayMs > maxRetryAfterMs) {
+          throw error;
+        }
+        attempt += 1;
+        logger.warn(`Slack ${method} failed (${error.code}); retrying in ${delayMs}ms (attempt ${attempt}/${maxRetries}).`, {
+          event: 'slack.retry',
+          method,
+          code: error.code,
+          attempt,
+          delayMs,
+        });
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  // With `withHeaders` the call resolves with { body, headers } instead of the
+  // parsed body, for methods (like auth.test) whose headers carry information.
+  function callOnce(method, {
+    json,
+    query,
+    multipart,
+    withHeaders = false,
+  } = {}) {
+    const url = new URL(method, endpoint);
+    if (query) {
+      Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+    }
+
+    const headers = {};
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    let body = null;
+    if (json) {
+      body = Buffer.from(JSON.stringify(json), 'utf8');
+      headers['Content-Type'] = 'application/json; charset=utf-8';
+    } else if (multipart) {
+      ({ body } = multipart);
+      headers['Content-Type'] = `multipart/form-data; boundary=${multipart.boundary}`;
+    }
+    if (body) {
+      headers['Content-Length'] = body.length;
+    }
+    // The token only travels in the Authorization header, which is never logged.
+    logger.debug(`Slack request ${method}`, {
+      event: 'slack.request',
+      method,
+      query,
+      body: multipart ? `<multipart, ${body.length} bytes>` : json,
+    });
+    const startedAt = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(
+        url,
+        {
+          method: body ? 'POST' : 'GET',
+          headers,
+          timeout: timeoutMs,
+        },
+        (res) => {
+          const chunks = [];
+          res.on('data', (chunk) => chunks.push(chunk));
+          res.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            logger.debug(`Slack response ${method}`, {
+              event: 'slack.response',
+              method,
+              status: res.statusCode,
+              durationMs: Date.now() - startedAt,
+              body: text,
+            });
+            if (res.statusCode === 429) {
+              reject(createSlackError(method, 'ratelimited', {
+                status: res.statusCode,
+                retryAfterMs: parseRetryAfter(res.headers['retry-after']),
+              }));
+              return;
+            }
+            if (res.statusCode >= 500) {
+              reject(createSlackError(method, 'service_unavailable', { status: res.statusCode }));
+              return;
+            }
+
+            let parsed;
+            try {
+              parsed = JSON.parse(text);
+            } catch (parseError) {
+              reject(new Error(`Failed to parse Slack response: ${parseError.message}. Body: ${text}`));
+              return;
+            }
+            if (!parsed.ok) {
+              reject(createSlackError(method, parsed.error || 'unknown_error', {
+                status: res.statusCode,
+                retryAfterMs: parseRetryAfter(res.headers['retry-after']),
+              }));
+              return;
+            }
+            resolve(withHeaders ? { body: parsed, headers: res.headers } : parsed);
+          });
+        },
+      );
+
+      req.on('timeout', () => {
+        const timeoutError = new Error(`Slack ${method} timed out after ${timeoutMs}ms`);
+        timeoutError.code = 'ETIMEDOUT';
+        req.destroy(timeoutError);
+      });
+      req.on('error', (err) => reject(classifyNetworkError(method, err)));
+      if (body) {
+        req.write(body);
+      }
+      req.end();
+    });
+  }
+
+  return { call };
+}
+
+function describeApiUrlProblem(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'not a valid URL';
+  }
+  if (url.protocol === 'https:') {
+    return null;
+  }
+  if (url.protocol !== 'http:') {
+    return `unsupported protocol ${url.protocol}`;
+  }
+  if (!isLoopbackHost(url.hostname)) {
+    return 'plain http is only allowed for localhost';
+  }
+  return null;
+}
+
+function createSlackError(method, code, { status, retryAfterMs } = {}) {
+  const error = new Error(`Slack API rejected ${method}: ${code}`);
+  error.method = method;
+  error.code = code;
+  error.status = status;
+  error.fatal = FATAL_ERRORS.has(code);
+  error.retryable = RETRYABLE_ERRORS.has(code);
+  error.notSent = !AMBIGUOUS_ERRORS.has(code);
+  if (retryAfterMs !== undefined) {
+    error.retryAfterMs = retryAfterMs;
+  }
+  return error;
+}
+
+function classifyNetworkError(method, error) {
+  error.method = method;
+  error.fatal = false;
+  error.retryable = RETRYABLE_NETWORK_CODES.has(error.code);
+  error.notSent = UNSENT_NETWORK_CODES.has(error.code);
+  return error;
+}
+
+function parseRetryAfter(value) {
+  const seconds = Number.parseInt(value, 10);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    return undefined;
+  }
+  return seconds * 1000;
+}
+
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * (2 ** attempt));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function isFatalSlackError(error) {
+  return Boolean(error && error.fatal);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  DEFAULT_SLACK_API_URL,
+  createSlackClient,
+  describeApiUrlProblem,
+  isFatalSlackError,
+};
@@ -0,0 +1,34 @@
+// Spotify names every item by URI, which says what kind of item it is:
+//
+//   spotify:track:<id>                          a song
+//   spotify:local:<artist>:<album>:<title>:<s>  a local file
+//   spotify:episode:<id>                        a podcast episode
+//   spotify:chapter:<id>                        an audiobook chapter
+//   spotify:ad:<id>                             an advertisement
+
+const MEDIA_TYPES = {
+  track: 'track',
+  local: 'track',
+  episode: 'episode',
+  chapter: 'episode',
+  ad: 'ad',
+};
+
+// Returns { mediaType, url } for a Spotify URI. `url` is the open.spotify.com
+// link, or null for items that have none (local files, chapters, ads). Unknown or
+// missing URIs are treated as tracks.
+function parseSpotifyUri(uri) {
+  const match = /^spotify:([a-z]+):(\S+)$/.exec(typeof uri === 'string' ? uri.trim() : '');
+  if (!match || !MEDIA_TYPES[match[1]]) {
+    return { mediaType: 'track', url: null };
+  }
+  const [, kind, id] = match;
+  return {
+    mediaType: MEDIA_TYPES[kind],
+    url: kind === 'track' || kind === 'episode' ? `https://open.spotify.com/${kind}/${id}` : null,
+  };
+}
+
+module.exports = {
+  parseSpotifyUri,
+};
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createArtworkCache } = require('../src/artwork-cache');
+
+test('evicts the least recently used artwork once the cache is full', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slack-currenttrack-artwork-'));
+  const cache = createArtworkCache({ dir, maxBytes: 25 });
+  const aged = (file, secondsAgo) => {
+    const time = new Date(Date.now() - secondsAgo * 1000);
+    fs.utimesSync(file, time, time);
+  };
+
+  aged(await cache.put('spotify||Daft Punk||Discovery', Buffer.alloc(10)), 30);
+  aged(await cache.put('spotify||Air||Moon Safari', Buffer.alloc(10)), 20);
+  assert.ok(await cache.get('spotify||Daft Punk||Discovery'));
+
+  const added = await cache.put('mpris||Justice||Cross', Buffer.alloc(10));
+  assert.equal(fs.readFileSync(added).length, 10);
+  assert.equal(await cache.get('spotify||Air||Moon Safari'), null);
+  assert.ok(await cache.get('spotify||Daft Punk||Discovery'));
+  assert.equal(fs.readdirSync(dir).length, 2);
+});
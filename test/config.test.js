@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadConfig, mergeReloadedConfig } = require('../src/config');
+
+function writeConfig(values) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slack-currenttrack-config-'));
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, typeof values === 'string' ? values : JSON.stringify(values));
+  return file;
+}
+
+test('environment variables override the config file, which overrides defaults', () => {
+  const file = writeConfig({ pollIntervalMs: 30000, statusEmoji: ':headphones:', clearStatusOnPause: false });
+  const { config, errors } = loadConfig({ SLACK_CURRENTTRACK_CONFIG: file, POLL_INTERVAL_MS: '5000' });
+
+  assert.deepEqual(errors, []);
+  assert.equal(config.pollIntervalMs, 5000);
+  assert.equal(config.statusEmoji, ':headphones:');
+  assert.equal(config.clearStatusOnPause, false);
+  assert.equal(config.statusMaxLength, 100);
+});
+
+test('invalid values and unknown keys are reported by name', () => {
+  const file = writeConfig({ pollInterval: 1000, updateProfilePhoto: 'sometimes' });
+  const { errors } = loadConfig({
+    SLACK_CURRENTTRACK_CONFIG: file,
+    POLL_INTERVAL_MS: 'abc',
+    CLEAR_STATUS_ON_PAUSE: 'flase',
+  });
+
+  assert.equal(errors.length, 4);
+  assert.match(errors[0], /unknown key "pollInterval" \(did you mean "pollIntervalMs"\?\)/);
+  assert.match(errors.find((message) => message.includes('updateProfilePhoto')), /"sometimes"/);
+  assert.ok(errors.some((message) => message.startsWith('POLL_INTERVAL_MS must be a whole number')));
+  assert.ok(errors.some((message) => message.startsWith('CLEAR_STATUS_ON_PAUSE must be one of')));
+});
+
+test('a missing default config file is fine but a missing explicit one is not', () => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'slack-currenttrack-config-'));
+  assert.deepEqual(loadConfig({ XDG_CONFIG_HOME: home }).errors, []);
+  assert.equal(loadConfig({ SLACK_CURRENTTRACK_CONFIG: path.join(home, 'nope.json') }).errors.length, 1);
+  assert.match(loadConfig({ SLACK_CURRENTTRACK_CONFIG: writeConfig('{ nope') }).errors[0], /invalid JSON/);
+});
+
+test('reloading applies reloadable settings and keeps restart-only ones', () => {
+  const current = loadConfig({ SLACK_TOKEN: 'xoxp-old', STATUS_FORMAT: '%so%' }).config;
+  const next = loadConfig({ SLACK_TOKEN: 'xoxp-new', STATUS_FORMAT: '%ar%', PLAYER: 'spotify, Apple-Music' }).config;
+  const { config, changed, ignored } = mergeReloadedConfig(current, next);
+
+  assert.equal(config.slackToken, 'xoxp-old');
+  assert.equal(config.statusFormat, '%ar%');
+  assert.deepEqual(config.player, ['spotify', 'music']);
+  assert.deepEqual(ignored, ['slackToken']);
+  assert.ok(changed.includes('statusFormat'));
+});
+
+test('status emoji rules are validated by index', () => {
+  const file = writeConfig({
+    statusEmojiRules: [
+      { emoji: ':spotify:', source: 'spotify' },
+      { emoji: ':metal:', artist: '(unclosed' },
+      { emoji: ':zzz:', mood: 'sleepy' },
+    ],
+  });
+  const { errors } = loadConfig({ SLACK_CURRENTTRACK_CONFIG: file });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /\[1\]\.artist is not a valid regular expression/);
+  assert.match(errors[0], /\[2\] has unknown condition "mood"/);
+
+  const fromEnv = loadConfig({ SLACK_STATUS_EMOJI_RULES: '[{"emoji":":pause_button:","state":"paused"}]' });
+  assert.deepEqual(fromEnv.errors, []);
+  assert.deepEqual(fromEnv.config.statusEmojiRules, [{ emoji: ':pause_button:', state: 'paused' }]);
+});
+
+test('rejects a minimum poll interval above the maximum', () => {
+  const { errors } = loadConfig({
+    SLACK_CURRENTTRACK_CONFIG: writeConfig({}),
+    MIN_POLL_INTERVAL_MS: '60000',
+    MAX_POLL_INTERVAL_MS: '30000',
+  });
+  assert.deepEqual(errors, ['minPollIntervalMs (60000) must not be larger than maxPollIntervalMs (30000)']);
+});
+
+test('requires a control token when the control API is reachable from other hosts', () => {
+  const { errors } = loadConfig({
+    SLACK_CURRENTTRACK_CONFIG: writeConfig({ controlPort: 8787, controlHost: '0.0.0.0' }),
+  });
+  assert.deepEqual(errors, ['controlToken is required when the control API listens on 0.0.0.0, which is not a loopback address']);
+  assert.deepEqual(loadConfig({ SLACK_CURRENTTRACK_CONFIG: writeConfig({ controlPort: 8787 }) }).errors, []);
+  assert.match(loadConfig({ SLACK_CURRENTTRACK_CONFIG: writeConfig({}), CONTROL_PORT: '70000' }).errors[0], /CONTROL_PORT must be a port number/);
+});
+
+test('player lists are normalized, deduplicated and validated', () => {
+  const file = writeConfig({ player: ['Spotify', 'music'], playerPolicy: 'Sticky' });
+  const fromFile = loadConfig({ SLACK_CURRENTTRACK_CONFIG: file }).config;
+  assert.deepEqual(fromFile.player, ['spotify', 'music']);
+  assert.equal(fromFile.playerPolicy, 'sticky');
+
+  const fromEnv = loadConfig({ SLACK_CURRENTTRACK_CONFIG: file, PLAYER: 'apple-music,spotify,music,' }).config;
+  assert.deepEqual(fromEnv.player, ['music', 'spotify']);
+
+  assert.match(loadConfig({ SLACK_CURRENTTRACK_CONFIG: file, PLAYER: 'spotify,winamp' }).errors[0], /PLAYER must list players .*\(got "winamp"\)/);
+  assert.match(loadConfig({ SLACK_CURRENTTRACK_CONFIG: file, PLAYER: ' , ' }).errors[0], /PLAYER must name at least one player/);
+  assert.match(loadConfig({ SLACK_CURRENTTRACK_CONFIG: file, PLAYER_POLICY: 'random' }).errors[0], /PLAYER_POLICY must be one of priority/);
+});
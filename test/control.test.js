@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startControlServer } = require('../src/control');
+const { request } = require('./support/http');
+
+async function startServer(token = null) {
+  const calls = [];
+  const server = await startControlServer({
+    host: '127.0.0.1',
+    port: 0,
+    token,
+    handlers: {
+      now: () => ({ ok: true }),
+      metrics: () => '',
+      pause: (minutes) => {
+        calls.push(['pause', minutes]);
+        return { ok: true };
+      },
+      resume: () => ({ ok: true }),
+      refresh: () => ({ ok: true }),
+    },
+  });
+  return { server, calls, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('without a token only loopback Host names are served', async () => {
+  const { server, calls, base } = await startServer();
+  try {
+    assert.equal((await request(`${base}/now`)).status, 200);
+    assert.equal((await request(`${base}/now`, { headers: { Host: `localhost:${server.address().port}` } })).status, 200);
+    assert.equal((await request(`${base}/now`, { headers: { Host: '[::1]' } })).status, 200);
+    assert.equal((await request(`${base}/now`, { headers: { Host: `rebound.example:${server.address().port}` } })).status, 403);
+    assert.equal((await request(`${base}/sharing/pause`, { method: 'POST', headers: { Host: 'rebound.example' } })).status, 403);
+    assert.deepEqual(calls, []);
+  } finally {
+    server.close();
+  }
+});
+
+test('requests from web pages are refused, with or without a token', async () => {
+  for (const token of [null, 'secret']) {
+    const { server, calls, base } = await startServer(token);
+    try {
+      const response = await request(`${base}/sharing/pause`, {
+        method: 'POST',
+        headers: { Origin: 'https://example.com', Authorization: 'Bearer secret' },
+      });
+      assert.equal(response.status, 403);
+      assert.deepEqual(response.json(), { ok: false, error: 'forbidden' });
+      assert.deepEqual(calls, []);
+    } finally {
+      server.close();
+    }
+  }
+});
+
+test('with a token any Host is served to callers that send it', async () => {
+  const { server, base } = await startServer('secret');
+  try {
+    const headers = { Host: 'music-box.lan:8787' };
+    assert.equal((await request(`${base}/now`, { headers })).status, 401);
+    assert.equal((await request(`${base}/now`, { headers: { ...headers, Authorization: 'Bearer secret' } })).status, 200);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFileCredentialStore } = require('../src/credentials');
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slack-currenttrack-credentials-'));
+  return path.join(dir, 'nested', 'credentials.json');
+}
+
+test('saved credentials are only readable by their owner and read back', async () => {
+  const file = tempFile();
+  const store = createFileCredentialStore(file);
+  assert.equal(store.read(), null);
+
+  await store.write({ token: 'xoxp-saved', userId: 'U0ALICE' });
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  assert.deepEqual(store.read(), { token: 'xoxp-saved', userId: 'U0ALICE' });
+
+  await store.write({ token: 'xoxp-replaced' });
+  assert.equal(store.read().token, 'xoxp-replaced');
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['credentials.json']);
+});
+
+test('credentials others can read, or without a token, are refused', async () => {
+  const file = tempFile();
+  const store = createFileCredentialStore(file);
+  await store.write({ token: 'xoxp-saved' });
+
+  fs.chmodSync(file, 0o644);
+  assert.throws(() => store.read(), /can be read by other users; run chmod 600/);
+
+  fs.writeFileSync(file, '{}', { mode: 0o600 });
+  fs.chmodSync(file, 0o600);
+  assert.throws(() => store.read(), /no token saved/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildDigestMessage, describeDigestProblems, findDueDigest } = require('../src/digest');
+
+const FRIDAY_DIGEST = { channel: 'C0MUSIC', day: 'fri', time: '16:00', timezone: 'UTC' };
+
+test('a digest is due from its scheduled time for a few hours', () => {
+  const scheduled = Date.parse('2026-10-23T16:00:00Z');
+  assert.equal(findDueDigest(FRIDAY_DIGEST, Date.parse('2026-10-23T15:59:30Z')), null);
+  assert.equal(findDueDigest(FRIDAY_DIGEST, Date.parse('2026-10-23T16:00:10Z')), scheduled);
+  assert.equal(findDueDigest(FRIDAY_DIGEST, Date.parse('2026-10-23T21:30:00Z')), scheduled);
+  assert.equal(findDueDigest(FRIDAY_DIGEST, Date.parse('2026-10-23T22:00:00Z')), null);
+  assert.equal(
+    findDueDigest({ ...FRIDAY_DIGEST, timezone: 'America/New_York' }, Date.parse('2026-10-23T20:05:00Z')),
+    Date.parse('2026-10-23T20:00:00Z'),
+  );
+});
+
+test('builds a Block Kit message with escaped names', () => {
+  const message = buildDigestMessage(FRIDAY_DIGEST, {
+    since: '2026-10-16T16:00:00.000Z',
+    until: '2026-10-23T16:00:00.000Z',
+    plays: 3,
+    listenedMs: 5400000,
+    topArtists: [{ artist: 'Simon & Garfunkel', plays: 2, listenedMs: 3600000 }],
+    topAlbums: [],
+    topTracks: [{ artist: 'Simon & Garfunkel', title: 'America', plays: 2, listenedMs: 3600000 }],
+  });
+
+  assert.equal(message.channel, 'C0MUSIC');
+  assert.equal(message.text, 'What I listened to this week: America — Simon &amp; Garfunkel (1h 30m of music over 3 plays)');
+  assert.equal(message.mrkdwn, false);
+  assert.deepEqual(message.blocks[1].fields.map((field) => field.text), [
+    '*Top artists*\n1. Simon &amp; Garfunkel (2)',
+    '*Top tracks*\n1. America — Simon &amp; Garfunkel (2)',
+  ]);
+  assert.equal(message.blocks[2].elements[0].text, '1h 30m of music over 3 plays · Oct 16 – Oct 23');
+});
+
+test('reports digest settings problems', () => {
+  assert.deepEqual(describeDigestProblems({ channel: '', day: 'friday', time: '4pm', every: 'week' }), [
+    'unknown key "every"',
+    'channel must be a channel ID or name',
+    'day must be one of sun, mon, tue, wed, thu, fri, sat',
+    'time must be a time like 16:00',
+  ]);
+});
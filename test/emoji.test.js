@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { describeEmojiRuleProblems, selectStatusEmoji } = require('../src/emoji');
+
+const RULES = [
+  { emoji: ':double_vertical_bar:', state: 'paused' },
+  { emoji: ':robot_face:', artist: '^daft punk$' },
+  { emoji: ':studio_microphone:', mediaType: 'podcast' },
+  { emoji: ':spotify: %pb%', source: 'spotify' },
+  { emoji: ':applemusic:', source: 'music' },
+];
+
+function playback(state, track) {
+  return {
+    state,
+    track: track ? { mediaType: 'track', artist: 'Air', title: 'La femme d\'argent', album: 'Moon Safari', ...track } : null,
+  };
+}
+
+test('the first matching rule wins', () => {
+  assert.equal(selectStatusEmoji(RULES, playback('paused', { source: 'spotify' }), ':musical_note:'), ':double_vertical_bar:');
+  assert.equal(selectStatusEmoji(RULES, playback('playing', { source: 'spotify', artist: 'Daft Punk' }), ':musical_note:'), ':robot_face:');
+  assert.equal(selectStatusEmoji(RULES, playback('playing', { source: 'music' }), ':musical_note:'), ':applemusic:');
+  assert.equal(selectStatusEmoji(RULES, playback('playing', { source: 'spotify', mediaType: 'episode' }), ':musical_note:'), ':studio_microphone:');
+});
+
+test('mediaType rules accept "podcast" for episodes and reject unknown types', () => {
+  const rules = [{ emoji: ':headphones:', mediaType: 'Episode' }];
+  assert.equal(selectStatusEmoji(rules, playback('playing', { source: 'spotify', mediaType: 'episode' }), ':musical_note:'), ':headphones:');
+  assert.equal(selectStatusEmoji(rules, playback('playing', { source: 'spotify', mediaType: 'track' }), ':musical_note:'), ':musical_note:');
+  const podcastRules = [{ emoji: ':studio_microphone:', mediaType: 'podcast' }];
+  assert.deepEqual(describeEmojiRuleProblems(podcastRules), []);
+  assert.equal(selectStatusEmoji(podcastRules, playback('playing', { source: 'spotify', mediaType: 'episode' }), ':musical_note:'), ':studio_microphone:');
+  assert.equal(selectStatusEmoji(podcastRules, playback('playing', { source: 'spotify', mediaType: 'track' }), ':musical_note:'), ':musical_note:');
+  assert.deepEqual(describeEmojiRuleProblems([{ emoji: ':tv:', mediaType: 'video' }]), [
+    '[0].mediaType must be one of track, episode, podcast',
+  ]);
+});
+
+test('the default applies when nothing matches and %pb% is stripped', () => {
+  assert.equal(selectStatusEmoji(RULES, playback('playing', { source: 'spotify' }), ':musical_note:'), ':spotify:');
+  assert.equal(selectStatusEmoji(RULES, playback('playing', { source: 'mpris', player: 'vlc' }), '%pb% :headphones:'), ':headphones:');
+  assert.equal(selectStatusEmoji([], playback('stopped', null), ':musical_note:'), ':musical_note:');
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applyFormat, parseFormat, renderStatusText } = require('../src/format');
+
+const TRACK = {
+  source: 'spotify',
+  artist: 'Daft Punk',
+  title: 'Digital Love',
+  album: 'Discovery',
+  positionMs: 96000,
+  durationMs: 301000,
+};
+
+test('the original tokens and {p}/{q} blocks keep working', () => {
+  const format = parseFormat('%pb% %so% - %ar% {p}Paused: %so%{/p} {q}Sitting Quietly{/q}');
+  assert.equal(applyFormat(format.playing, TRACK), '--|------ Digital Love - Daft Punk');
+  assert.equal(format.paused, 'Paused: %so%');
+  assert.equal(format.quiet, 'Sitting Quietly');
+  assert.equal(applyFormat('%bn% %en% %al%', TRACK), '♫ ♪ Discovery');
+});
+
+test('optional sections vanish when a token inside is empty', () => {
+  const format = '%ar% — %so%{?} (%al%){/?}';
+  assert.equal(applyFormat(format, TRACK), 'Daft Punk — Digital Love (Discovery)');
+  assert.equal(applyFormat(format, { ...TRACK, album: '' }), 'Daft Punk — Digital Love');
+  assert.equal(applyFormat('{?}%ar%{?} on %al%{/?}!{/?}', { ...TRACK, album: '' }), 'Daft Punk!');
+  assert.equal(applyFormat('{?}(%al%) %ar%', { ...TRACK, album: '' }), '{?}() Daft Punk');
+  assert.equal(applyFormat('{?}%so%{?} (%al%){/?}', { ...TRACK, album: '' }), '{?}Digital Love');
+  assert.equal(applyFormat('%so%{/?}', TRACK), 'Digital Love{/?}');
+});
+
+test('spaces typed in the format are kept; only gaps left by empty parts collapse', () => {
+  assert.equal(applyFormat('%ar%  |  %so%', TRACK), 'Daft Punk  |  Digital Love');
+  assert.equal(applyFormat('%so%  %al%  %ar%', { ...TRACK, album: '' }), 'Digital Love Daft Punk');
+  assert.equal(applyFormat('%so% {?}(%al%){/?} - %ar%', { ...TRACK, album: '' }), 'Digital Love - Daft Punk');
+  assert.equal(applyFormat('%so%{?} (%al%){/?}!', { ...TRACK, album: '' }), 'Digital Love!');
+});
+
+test('fallbacks and filters', () => {
+  assert.equal(applyFormat('%al|Single%', { ...TRACK, album: '' }), 'Single');
+  assert.equal(applyFormat('%al:upper|Single%', { ...TRACK, album: '' }), 'SINGLE');
+  assert.equal(applyFormat('%ar:upper% / %so:lower%', TRACK), 'DAFT PUNK / digital love');
+  assert.equal(applyFormat('%so:truncate(8)%', TRACK), 'Digital…');
+});
+
+test('time and player tokens', () => {
+  assert.equal(applyFormat('%el%/%du% (-%rm%) on %pl%', TRACK), '1:36/5:01 (-3:25) on Spotify');
+  assert.equal(applyFormat('%pl%', { ...TRACK, source: 'mpris', player: 'vlc' }), 'Vlc');
+  assert.equal(applyFormat('%ar%{?} [%el%]{/?}', { ...TRACK, positionMs: null }), 'Daft Punk');
+});
+
+test('show and episode tokens are only filled in for episodes', () => {
+  const episode = { ...TRACK, mediaType: 'episode', artist: '', title: 'How Discovery Was Made', album: 'Studio Notes' };
+  assert.equal(applyFormat('%sh% — %ep%', episode), 'Studio Notes — How Discovery Was Made');
+  assert.equal(applyFormat('%sh% — %ep%', { ...episode, album: '', artist: 'Studio Notes' }), 'Studio Notes — How Discovery Was Made');
+  assert.equal(applyFormat('%so%{?} (%sh%){/?}', TRACK), 'Digital Love');
+});
+
+test('unknown tokens and stray percent signs are left alone', () => {
+  assert.equal(applyFormat('%xx% 100% %so%', TRACK), '%xx% 100% Digital Love');
+  assert.equal(applyFormat('%so%', { ...TRACK, title: '%ar%' }), '%ar%');
+});
+
+test('long statuses shrink the album, then the artist, before the title', () => {
+  const format = '%ar% — %so% (%al%)';
+  const track = {
+    ...TRACK,
+    artist: 'Godspeed You! Black Emperor',
+    title: 'Storm',
+    album: 'Lift Your Skinny Fists Like Antennas to Heaven',
+  };
+  assert.equal(
+    renderStatusText(format, track, { maxLength: 50 }),
+    'Godspeed You! Black Emperor — Storm (Lift Your S…)',
+  );
+  assert.equal(renderStatusText(format, track, { maxLength: 30 }), 'Godspeed You! Blac… — Storm ()');
+  assert.equal(renderStatusText('%ar% — %so%{?} (%al%){/?}', track, { maxLength: 35 }), 'Godspeed You! Black Emperor — Storm');
+  assert.equal(renderStatusText(format, track, { maxLength: 15, ellipsis: '...' }), 'G... — Storm ()');
+});
+
+test('truncation never splits grapheme clusters', () => {
+  const track = { ...TRACK, artist: 'Family', title: '👨‍👩‍👧‍👦👨‍👩‍👧‍👦 Reunion', album: '' };
+  const rendered = renderStatusText('%so%', track, { maxLength: 15 });
+  assert.equal(rendered, '👨‍👩‍👧‍👦…');
+  assert.equal(renderStatusText('Café ', { ...track, title: 'é́' }, { maxLength: 6 }), 'Café');
+});
+
+test('truncation keeps as many astral characters as fit', () => {
+  const track = { ...TRACK, title: '🎵'.repeat(20), album: '' };
+  assert.equal(renderStatusText('%so%', track, { maxLength: 30 }), `${'🎵'.repeat(14)}…`);
+  assert.equal(renderStatusText('%ar% — %so%', track, { maxLength: 30 }), `D… — ${'🎵'.repeat(12)}…`);
+});
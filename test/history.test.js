@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createListeningTracker, summarizeHistory } = require('../src/history');
+
+const START = Date.parse('2026-10-19T09:00:00Z');
+const MIN_LISTEN = { minListenMs: 30000 };
+
+function playing(title, positionMs, state = 'playing') {
+  return {
+    state,
+    track: { source: 'spotify', artist: 'Daft Punk', title, album: 'Discovery', positionMs, durationMs: 300000 },
+  };
+}
+
+test('records a play once it ends, counting only time spent playing', () => {
+  const tracker = createListeningTracker();
+  assert.equal(tracker.observe(playing('Digital Love', 0), { ...MIN_LISTEN, now: START }), null);
+  tracker.observe(playing('Digital Love', 20000), { ...MIN_LISTEN, now: START + 20000 });
+  tracker.observe(playing('Digital Love', 20000, 'paused'), { ...MIN_LISTEN, now: START + 25000 });
+  tracker.observe(playing('Digital Love', 20000, 'paused'), { ...MIN_LISTEN, now: START + 600000 });
+  // A long gap counts no more than the player moved forward.
+  tracker.observe(playing('Digital Love', 20000), { ...MIN_LISTEN, now: START + 610000 });
+  tracker.observe(playing('Digital Love', 35000), { ...MIN_LISTEN, now: START + 3600000 });
+
+  assert.deepEqual(tracker.observe({ state: 'stopped', track: null }, { ...MIN_LISTEN, now: START + 3610000 }), {
+    startedAt: '2026-10-19T09:00:00.000Z',
+    listenedMs: 35000,
+    source: 'spotify',
+    artist: 'Daft Punk',
+    title: 'Digital Love',
+    album: 'Discovery',
+  });
+});
+
+test('skipped tracks are not recorded', () => {
+  const tracker = createListeningTracker();
+  tracker.observe(playing('One More Time', 0), { ...MIN_LISTEN, now: START });
+  tracker.observe(playing('One More Time', 10000), { ...MIN_LISTEN, now: START + 10000 });
+  assert.equal(tracker.observe(playing('Aerodynamic', 0), { ...MIN_LISTEN, now: START + 11000 }), null);
+  tracker.observe(playing('Aerodynamic', 40000), { ...MIN_LISTEN, now: START + 51000 });
+  assert.equal(tracker.flush(MIN_LISTEN).title, 'Aerodynamic');
+  assert.equal(tracker.flush(MIN_LISTEN), null);
+});
+
+test('summarizes plays in a range by play count', () => {
+  const plays = [
+    { startedAt: '2026-10-19T08:00:00Z', listenedMs: 240000, artist: 'Air', title: 'Kelly Watch the Stars', album: 'Moon Safari' },
+    { startedAt: '2026-10-19T07:00:00Z', listenedMs: 200000, artist: 'Daft Punk', title: 'Digital Love', album: 'Discovery' },
+    { startedAt: '2026-10-19T06:00:00Z', listenedMs: 100000, artist: 'Daft Punk', title: 'Digital Love', album: 'Discovery' },
+    { startedAt: '2026-10-10T06:00:00Z', listenedMs: 100000, artist: 'Justice', title: 'Genesis', album: 'Cross' },
+  ];
+  const summary = summarizeHistory(plays, { range: 'week', now: START });
+
+  assert.equal(summary.plays, 3);
+  assert.equal(summary.listenedMs, 540000);
+  assert.deepEqual(summary.topArtists, [
+    { artist: 'Daft Punk', plays: 2, listenedMs: 300000 },
+    { artist: 'Air', plays: 1, listenedMs: 240000 },
+  ]);
+  assert.deepEqual(summary.topTracks[0], { artist: 'Daft Punk', title: 'Digital Love', plays: 2, listenedMs: 300000 });
+  assert.equal(summarizeHistory(plays, { range: 'month', now: START }).plays, 4);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fitProfilePhoto, readImageInfo } = require('../src/image');
+
+function jpeg(width, height) {
+  const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x04, 0x00, 0x00]);
+  const sof = Buffer.from([0xff, 0xc2, 0x00, 0x11, 0x08, height >> 8, height & 0xff, width >> 8, width & 0xff, 0x03]);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, sof]);
+}
+
+test('reads dimensions from PNG, JPEG, GIF and WebP headers', () => {
+  const png = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(png);
+  png.write('IHDR', 12, 'latin1');
+  png.writeUInt32BE(640, 16);
+  png.writeUInt32BE(480, 20);
+  assert.deepEqual(readImageInfo(png), { type: 'png', mimeType: 'image/png', extension: '.png', width: 640, height: 480 });
+
+  assert.deepEqual(readImageInfo(jpeg(1200, 800)), {
+    type: 'jpeg', mimeType: 'image/jpeg', extension: '.jpg', width: 1200, height: 800,
+  });
+
+  const gif = Buffer.from('GIF89a\x00\x02\x00\x02', 'latin1');
+  assert.equal(readImageInfo(gif).width, 512);
+
+  const webp = Buffer.alloc(30);
+  webp.write('RIFF', 0, 'latin1');
+  webp.write('WEBPVP8X', 8, 'latin1');
+  webp.writeUIntLE(1023, 24, 3);
+  webp.writeUIntLE(767, 27, 3);
+  assert.deepEqual(readImageInfo(webp), {
+    type: 'webp', mimeType: 'image/webp', extension: '.webp', width: 1024, height: 768,
+  });
+
+  assert.equal(readImageInfo(Buffer.from('not an image')), null);
+});
+
+test('fits artwork to what users.setPhoto accepts', () => {
+  assert.deepEqual(fitProfilePhoto(readImageInfo(jpeg(1200, 800))), { crop: { x: 200, y: 0, w: 800 } });
+  assert.deepEqual(fitProfilePhoto(readImageInfo(jpeg(640, 640))), { crop: null });
+  assert.deepEqual(fitProfilePhoto(readImageInfo(jpeg(1000, 300))), { problem: '1000x300 is smaller than 512x512' });
+  assert.deepEqual(fitProfilePhoto({ type: 'webp', width: 600, height: 600 }), {
+    problem: 'Slack does not accept WEBP profile photos',
+  });
+  assert.deepEqual(fitProfilePhoto(null), { problem: 'the image format is not recognized' });
+});
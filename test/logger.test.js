@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createLogger } = require('../src/logger');
+
+function capture(options) {
+  const lines = { stdout: [], stderr: [] };
+  const stream = (name) => ({ write: (text) => lines[name].push(text.trimEnd()) });
+  const logger = createLogger({ ...options, stdout: stream('stdout'), stderr: stream('stderr') });
+  return { logger, lines };
+}
+
+test('text output keeps messages readable and filters by level', () => {
+  const { logger, lines } = capture({ level: 'info' });
+  logger.debug('Slack request users.profile.get', { event: 'slack.request' });
+  logger.info('Would update Slack status to: Daft Punk — Digital Love', { event: 'status.updated', dryRun: true });
+  logger.error('Failed to check dnd.info', { event: 'availability.error', code: 'timeout', error: 'socket hang up' });
+
+  assert.deepEqual(lines.stdout, ['[dry-run] Would update Slack status to: Daft Punk — Digital Love']);
+  assert.deepEqual(lines.stderr, ['Failed to check dnd.info: socket hang up']);
+
+  logger.configure({ level: 'debug' });
+  logger.debug('Slack response users.profile.get', { event: 'slack.response', status: 200, durationMs: 12 });
+  assert.equal(lines.stdout[1], 'debug: Slack response users.profile.get event=slack.response status=200 durationMs=12');
+});
+
+test('json output carries the fields and redacts tokens', () => {
+  const { logger, lines } = capture({ level: 'debug', format: 'json', secrets: ['control-secret'] });
+  logger.debug('Slack request users.profile.set', {
+    event: 'slack.request',
+    method: 'users.profile.set',
+    body: { note: 'xoxp-1234-abcd and control-secret' },
+  });
+
+  const record = JSON.parse(lines.stdout[0]);
+  assert.equal(record.level, 'debug');
+  assert.equal(record.event, 'slack.request');
+  assert.equal(record.method, 'users.profile.set');
+  assert.deepEqual(record.body, { note: '[redacted] and [redacted]' });
+  assert.ok(Date.parse(record.time));
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isLoopbackHost } = require('../src/loopback');
+const { describeApiUrlProblem } = require('../src/slack');
+
+test('loopback hosts are recognized with or without IPv6 brackets', () => {
+  ['localhost', 'LOCALHOST', '127.0.0.1', '::1', '[::1]'].forEach((host) => assert.equal(isLoopbackHost(host), true, host));
+  ['0.0.0.0', 'example.com', '::', '[::]', '', null].forEach((host) => assert.equal(isLoopbackHost(host), false, String(host)));
+});
+
+test('plain http Slack API URLs are allowed for the same loopback hosts', () => {
+  assert.equal(describeApiUrlProblem('http://[::1]:8080/api/'), null);
+  assert.equal(describeApiUrlProblem('http://localhost:8080/api/'), null);
+  assert.equal(describeApiUrlProblem('http://example.com/api/'), 'plain http is only allowed for localhost');
+});
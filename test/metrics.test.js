@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMetricsRegistry } = require('../src/metrics');
+
+test('counters and gauges render with escaped labels', () => {
+  const registry = createMetricsRegistry();
+  const polls = registry.counter('polls_total', 'Player polls.');
+  const errors = registry.counter('errors_total', 'Slack errors.', ['method', 'code']);
+  const state = registry.gauge('player_state', 'Player state.', ['state']);
+
+  polls.inc();
+  polls.inc();
+  errors.inc({ method: 'users.profile.set', code: 'bad "code"\n' });
+  state.set({ state: 'playing' }, 1);
+
+  assert.equal(registry.render(), [
+    '# HELP polls_total Player polls.',
+    '# TYPE polls_total counter',
+    'polls_total 2',
+    '# HELP errors_total Slack errors.',
+    '# TYPE errors_total counter',
+    'errors_total{method="users.profile.set",code="bad \\"code\\"\\n"} 1',
+    '# HELP player_state Player state.',
+    '# TYPE player_state gauge',
+    'player_state{state="playing"} 1',
+    '',
+  ].join('\n'));
+});
+
+test('histograms count observations into cumulative buckets', () => {
+  const registry = createMetricsRegistry();
+  const latency = registry.histogram('latency_seconds', 'Latency.', { buckets: [0.1, 1] });
+
+  latency.observe({ method: 'users.profile.set' }, 0.05);
+  latency.observe({ method: 'users.profile.set' }, 0.5);
+  latency.observe({ method: 'users.profile.set' }, 3);
+
+  assert.equal(registry.render(), [
+    '# HELP latency_seconds Latency.',
+    '# TYPE latency_seconds histogram',
+    'latency_seconds_bucket{method="users.profile.set",le="0.1"} 1',
+    'latency_seconds_bucket{method="users.profile.set",le="1"} 2',
+    'latency_seconds_bucket{method="users.profile.set",le="+Inf"} 3',
+    'latency_seconds_sum{method="users.profile.set"} 3.55',
+    'latency_seconds_count{method="users.profile.set"} 3',
+    '',
+  ].join('\n'));
+});
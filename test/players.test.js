@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPlayerArbiter } = require('../src/players');
+
+function playback(state, title) {
+  return state === 'stopped' ? { state, track: null } : { state, track: { title } };
+}
+
+// Players whose state can be changed between polls; `reads` lists every read.
+function fakePlayers(states) {
+  const reads = [];
+  return {
+    reads,
+    states,
+    read: async (name) => {
+      reads.push(name);
+      return playback(states[name], name);
+    },
+  };
+}
+
+test('priority picks the first playing player and stops reading there', async () => {
+  const arbiter = createPlayerArbiter();
+  const players = fakePlayers({ spotify: 'playing', music: 'playing' });
+  const chosen = await arbiter.choose(['spotify', 'music'], { policy: 'priority', read: players.read });
+  assert.equal(chosen.track.title, 'spotify');
+  assert.deepEqual(players.reads, ['spotify']);
+});
+
+test('priority prefers any playing player over a paused one, then the first paused one', async () => {
+  const arbiter = createPlayerArbiter();
+  const players = fakePlayers({ spotify: 'paused', music: 'playing' });
+  assert.equal((await arbiter.choose(['spotify', 'music'], { policy: 'priority', read: players.read })).track.title, 'music');
+
+  players.states.music = 'paused';
+  assert.equal((await arbiter.choose(['spotify', 'music'], { policy: 'priority', read: players.read })).track.title, 'spotify');
+
+  players.states.spotify = 'stopped';
+  players.states.music = 'stopped';
+  assert.deepEqual(await arbiter.choose(['spotify', 'music'], { policy: 'priority', read: players.read }), { state: 'stopped', track: null });
+});
+
+test('most-recently-started follows the player that started playing last', async () => {
+  const arbiter = createPlayerArbiter();
+  const players = fakePlayers({ spotify: 'playing', music: 'stopped' });
+  const choose = (now) => arbiter.choose(['spotify', 'music'], { policy: 'most-recently-started', read: players.read, now });
+
+  assert.equal((await choose(1000)).track.title, 'spotify');
+  players.states.music = 'playing';
+  assert.equal((await choose(2000)).track.title, 'music');
+  assert.equal((await choose(3000)).track.title, 'music');
+
+  // Spotify restarting makes it the most recent again.
+  players.states.spotify = 'paused';
+  assert.equal((await choose(4000)).track.title, 'music');
+  players.states.spotify = 'playing';
+  assert.equal((await choose(5000)).track.title, 'spotify');
+  assert.deepEqual(players.reads.slice(-2), ['spotify', 'music']);
+});
+
+test('most-recently-started breaks ties by list order', async () => {
+  const arbiter = createPlayerArbiter();
+  const players = fakePlayers({ spotify: 'playing', music: 'playing' });
+  const chosen = await arbiter.choose(['music', 'spotify'], { policy: 'most-recently-started', read: players.read, now: 1000 });
+  assert.equal(chosen.track.title, 'music');
+});
+
+test('sticky keeps the current player while it plays and reads it first', async () => {
+  const arbiter = createPlayerArbiter();
+  const players = fakePlayers({ spotify: 'stopped', music: 'playing' });
+  const choose = () => arbiter.choose(['spotify', 'music'], { policy: 'sticky', read: players.read });
+
+  assert.equal((await choose()).track.title, 'music');
+  players.states.spotify = 'playing';
+  players.reads.length = 0;
+  assert.equal((await choose()).track.title, 'music');
+  assert.deepEqual(players.reads, ['music']);
+
+  // Once it pauses, the list order decides again.
+  players.states.music = 'paused';
+  assert.equal((await choose()).track.title, 'spotify');
+  players.states.music = 'playing';
+  assert.equal((await choose()).track.title, 'spotify');
+});
+
+test('sticky keeps showing a paused player when nothing else plays', async () => {
+  const arbiter = createPlayerArbiter();
+  const players = fakePlayers({ spotify: 'stopped', music: 'playing' });
+  const choose = () => arbiter.choose(['spotify', 'music'], { policy: 'sticky', read: players.read });
+
+  await choose();
+  players.states.music = 'paused';
+  const chosen = await choose();
+  assert.equal(chosen.state, 'paused');
+  assert.equal(chosen.track.title, 'music');
+});
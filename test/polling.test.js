@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { nextPollDelay } = require('../src/polling');
+
+const LIMITS = { intervalMs: 15000, minIntervalMs: 2000, maxIntervalMs: 120000 };
+
+function playing(positionMs, durationMs = 300000) {
+  return { state: 'playing', track: { positionMs, durationMs } };
+}
+
+test('keeps the regular cadence mid-track and wakes just after the track ends', () => {
+  assert.equal(nextPollDelay({ ...LIMITS, playback: playing(60000) }), 15000);
+  assert.equal(nextPollDelay({ ...LIMITS, playback: playing(295000) }), 6500);
+  assert.equal(nextPollDelay({ ...LIMITS, playback: playing(299900) }), 2000);
+  assert.equal(nextPollDelay({ ...LIMITS, playback: { state: 'paused', track: { positionMs: 295000 } } }), 15000);
+});
+
+test('wakes when the progress bar is due to move', () => {
+  // 300 s split into 8 steps of 37.5 s; the next step is 7.5 s away.
+  assert.equal(nextPollDelay({ ...LIMITS, playback: playing(30000), showsProgress: true }), 7750);
+  assert.equal(nextPollDelay({ ...LIMITS, playback: playing(38000), showsProgress: true }), 15000);
+});
+
+test('backs off while nothing is playing', () => {
+  const stopped = { state: 'stopped', track: null };
+  assert.equal(nextPollDelay({ ...LIMITS, playback: stopped, idlePolls: 1 }), 15000);
+  assert.equal(nextPollDelay({ ...LIMITS, playback: stopped, idlePolls: 3 }), 60000);
+  assert.equal(nextPollDelay({ ...LIMITS, playback: stopped, idlePolls: 10 }), 120000);
+  assert.equal(nextPollDelay({ ...LIMITS, playback: null, idlePolls: 2 }), 30000);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { describePrivacyFilterProblems, isTrackHidden } = require('../src/privacy');
+
+const TRACK = { artist: 'Rain Sounds', title: 'White Noise 10h', album: 'Sleep' };
+
+test('block lists hide matching tracks', () => {
+  assert.equal(isTrackHidden({ block: { artist: ['^rain'] } }, TRACK), true);
+  assert.equal(isTrackHidden({ block: { album: ['kids'] } }, TRACK), false);
+  assert.equal(isTrackHidden({ block: { title: ['white noise'] } }, TRACK), true);
+});
+
+test('allow lists hide tracks that match none of their patterns', () => {
+  assert.equal(isTrackHidden({ allow: { artist: ['daft punk', 'air'] } }, TRACK), true);
+  assert.equal(isTrackHidden({ allow: { artist: ['rain'] } }, TRACK), false);
+  assert.equal(isTrackHidden({ allow: { artist: ['rain'] }, block: { album: ['sleep'] } }, TRACK), true);
+});
+
+test('no filters or no track never hides anything', () => {
+  assert.equal(isTrackHidden(null, TRACK), false);
+  assert.equal(isTrackHidden({ block: { artist: ['.'] } }, null), false);
+});
+
+test('problems name the list, field and pattern index', () => {
+  assert.deepEqual(describePrivacyFilterProblems({ block: { artist: ['ok', '('] }, deny: {} }).length, 2);
+  assert.match(describePrivacyFilterProblems({ block: { genre: [] } })[0], /block\.genre is not one of/);
+  assert.match(describePrivacyFilterProblems({ block: { artist: ['('] } })[0], /block\.artist\[0\]/);
+});
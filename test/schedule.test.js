@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { describeScheduleProblems, isWithinSchedule } = require('../src/schedule');
+
+const WORKDAYS = {
+  timezone: 'UTC',
+  windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '17:30' }],
+};
+
+test('weekday windows in a timezone', () => {
+  assert.equal(isWithinSchedule(WORKDAYS, new Date('2026-10-19T09:00:00Z')), true);
+  assert.equal(isWithinSchedule(WORKDAYS, new Date('2026-10-19T17:30:00Z')), false);
+  assert.equal(isWithinSchedule(WORKDAYS, new Date('2026-10-18T12:00:00Z')), false);
+  assert.equal(isWithinSchedule({ ...WORKDAYS, timezone: 'America/New_York' }, new Date('2026-10-19T14:00:00Z')), true);
+  assert.equal(isWithinSchedule({ ...WORKDAYS, timezone: 'America/New_York' }, new Date('2026-10-19T22:00:00Z')), false);
+});
+
+test('windows that run past midnight belong to the day they start', () => {
+  const lateFriday = { timezone: 'UTC', windows: [{ days: ['fri'], start: '22:00', end: '02:00' }] };
+  assert.equal(isWithinSchedule(lateFriday, new Date('2026-10-23T23:00:00Z')), true);
+  assert.equal(isWithinSchedule(lateFriday, new Date('2026-10-24T01:00:00Z')), true);
+  assert.equal(isWithinSchedule(lateFriday, new Date('2026-10-25T01:00:00Z')), false);
+});
+
+test('no schedule means always on', () => {
+  assert.equal(isWithinSchedule(null), true);
+});
+
+test('problems name the bad window field', () => {
+  assert.deepEqual(describeScheduleProblems(WORKDAYS), []);
+  assert.match(describeScheduleProblems({ ...WORKDAYS, timezone: 'Mars/Olympus' })[0], /timezone/);
+  assert.match(describeScheduleProblems({ windows: [{ days: ['funday'], start: '9', end: '25:00' }] }).join('\n'), /windows\[0\]\.days[\s\S]*windows\[0\]\.start[\s\S]*windows\[0\]\.end/);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseSpotifyUri } = require('../src/spotify');
+
+test('Spotify URIs are classified as tracks, episodes or ads', () => {
+  assert.deepEqual(parseSpotifyUri('spotify:track:2VEZx7NWsZ1D0eJ4uv5Fym'), {
+    mediaType: 'track',
+    url: 'https://open.spotify.com/track/2VEZx7NWsZ1D0eJ4uv5Fym',
+  });
+  assert.deepEqual(parseSpotifyUri('spotify:episode:4rOoJ6Egrf8K2IrywzwOMk'), {
+    mediaType: 'episode',
+    url: 'https://open.spotify.com/episode/4rOoJ6Egrf8K2IrywzwOMk',
+  });
+  assert.deepEqual(parseSpotifyUri('spotify:chapter:0D5wENdkdwbqlrHoaJ9g29'), { mediaType: 'episode', url: null });
+  assert.deepEqual(parseSpotifyUri('spotify:ad:000000012c603a6600000020316a17a1'), { mediaType: 'ad', url: null });
+  assert.deepEqual(parseSpotifyUri('spotify:local:Daft+Punk:Discovery:Digital+Love:301'), { mediaType: 'track', url: null });
+});
+
+test('missing or unknown URIs count as tracks', () => {
+  assert.deepEqual(parseSpotifyUri(''), { mediaType: 'track', url: null });
+  assert.deepEqual(parseSpotifyUri(undefined), { mediaType: 'track', url: null });
+  assert.deepEqual(parseSpotifyUri('spotify:artist:4tZwfgrHOc3mvqYlEYSvVi'), { mediaType: 'track', url: null });
+});
@@ -0,0 +1,27 @@
+const http = require('http');
+
+// A small stand-in for fetch (Node 18+): resolves with the status, headers and
+// body of one request.
+function request(url, { method = 'GET', headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          text,
+          json: () => JSON.parse(text),
+        });
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+module.exports = {
+  request,
+};